@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { CONFIG } from './constants.js';
+
+/**
+ * Loop mode names used by the protocol, mapped to three.js constants
+ */
+const LOOP_MODES = new Map([
+  ['repeat', THREE.LoopRepeat],
+  ['once', THREE.LoopOnce],
+  ['pingpong', THREE.LoopPingPong]
+]);
+
+/**
+ * Plays a model's animation clips (e.g., from a glTF file) with an AnimationMixer
+ * One clip is current at a time; cross-fading blends from the current clip into another.
+ * The loop mode and speed apply to whichever clip is current. The mixer is advanced by
+ * update(), which the application calls once per frame.
+ */
+export class AnimationController {
+  /**
+   * Names of the loop modes ("repeat", "once", "pingpong")
+   */
+  static LOOP_MODES = [...LOOP_MODES.keys()];
+
+  /**
+   * @param {THREE.Object3D} root - Object the clips animate (their tracks name its descendants)
+   * @param {Array<THREE.AnimationClip>} clips - Animation clips
+   */
+  constructor(root, clips = []) {
+    this.root = root;
+    this.clips = clips;
+    this.mixer = new THREE.AnimationMixer(root);
+    this.current = null; // Current THREE.AnimationAction
+    this.loop = 'repeat';
+  }
+
+  /**
+   * Checks whether there is anything to play
+   * @returns {boolean} True if the model has animation clips
+   */
+  hasClips() {
+    return this.clips.length > 0;
+  }
+
+  /**
+   * Lists the clips
+   * @returns {Array<{name: string, duration: number}>} Clips in file order
+   */
+  listClips() {
+    return this.clips.map(clip => ({ name: clip.name, duration: clip.duration }));
+  }
+
+  /**
+   * Plays a clip, or resumes the current one
+   * Switching clips stops the previous one at once (see crossFade for blending); playing
+   * a clip that finished in "once" mode starts it over.
+   * @param {string} name - Clip name (defaults to the current clip, then the first one)
+   * @returns {boolean} False if there is no clip with that name
+   */
+  play(name = null) {
+    const clipName = name || (this.current ? this.current.getClip().name : this.clips[0] && this.clips[0].name);
+    const action = this._getAction(clipName);
+    if (!action) {
+      return false;
+    }
+
+    if (action !== this.current) {
+      if (this.current) {
+        this.current.stop();
+      }
+      action.reset();
+      this.current = action;
+    } else if (this._isFinished(action)) {
+      action.reset();
+    }
+    action.paused = false;
+    action.play();
+    return true;
+  }
+
+  /**
+   * Pauses the current clip, holding its pose
+   */
+  pause() {
+    if (this.current) {
+      this.current.paused = true;
+    }
+  }
+
+  /**
+   * Jumps to a time in the current clip (the pose updates even while paused)
+   * Before anything was played, the first clip is selected and left paused.
+   * @param {number} time - Time in seconds (clamped to the clip duration)
+   * @returns {boolean} False if there are no clips
+   */
+  seek(time) {
+    if (!this.current) {
+      if (!this.play()) {
+        return false;
+      }
+      this.pause();
+    }
+    this.current.time = THREE.MathUtils.clamp(time, 0, this.current.getClip().duration);
+    this.mixer.update(0);
+    return true;
+  }
+
+  /**
+   * Sets how clips repeat
+   * @param {string} loop - Loop mode ("repeat", "once" or "pingpong")
+   */
+  setLoop(loop) {
+    this.loop = loop;
+    if (this.current) {
+      this._applyLoop(this.current);
+    }
+  }
+
+  /**
+   * Sets the playback speed
+   * @param {number} speed - Speed factor (1 = normal, negative plays backwards)
+   */
+  setSpeed(speed) {
+    this.mixer.timeScale = speed;
+  }
+
+  /**
+   * Blends from the current clip into another one
+   * @param {string} name - Clip to fade into
+   * @param {number} duration - Fade duration in seconds
+   * @returns {boolean} False if there is no clip with that name
+   */
+  crossFade(name, duration = CONFIG.ANIMATION.CROSS_FADE_DURATION) {
+    const next = this._getAction(name);
+    if (!next) {
+      return false;
+    }
+    if (!this.current || next === this.current) {
+      return this.play(name);
+    }
+
+    const previous = this.current;
+    next.reset();
+    next.play();
+    previous.paused = false;
+    previous.crossFadeTo(next, duration, false);
+    this.current = next;
+    return true;
+  }
+
+  /**
+   * Describes the playback state
+   * @returns {{clip: string|null, time: number, duration: number, playing: boolean, loop: string, speed: number}}
+   *   Current clip (null before anything was played) and where it is
+   */
+  getState() {
+    const clip = this.current ? this.current.getClip() : null;
+    return {
+      clip: clip ? clip.name : null,
+      time: this.current ? this.current.time : 0,
+      duration: clip ? clip.duration : 0,
+      playing: this.current ? this.current.isRunning() : false,
+      loop: this.loop,
+      speed: this.mixer.timeScale
+    };
+  }
+
+  /**
+   * Applies a full or partial playback state (the shape produced by getState())
+   * A state naming a clip the model does not have is ignored as a whole.
+   * @param {{clip: string, time: number, playing: boolean, loop: string, speed: number}} state - State to apply
+   * @returns {boolean} False if the state names a clip the model does not have (nothing was changed)
+   */
+  setState({ clip, time, playing, loop, speed }) {
+    if (clip && !this.clips.some(candidate => candidate.name === clip)) {
+      return false;
+    }
+    if (loop !== undefined) {
+      this.setLoop(loop);
+    }
+    if (speed !== undefined) {
+      this.setSpeed(speed);
+    }
+    if (clip) {
+      this.play(clip);
+    }
+    if (time !== undefined) {
+      this.seek(time);
+    }
+    if (playing === false) {
+      this.pause();
+    } else if (playing === true) {
+      this.play();
+    }
+    return true;
+  }
+
+  /**
+   * Puts the playback back exactly as getState() described it (for undo and batch rollback)
+   * Unlike setState(), a state without a clip stops playback instead of leaving it as is.
+   * @param {{clip: string|null, time: number, playing: boolean, loop: string, speed: number}} state - State
+   *   from getState()
+   */
+  restore({ clip, time, playing, loop, speed }) {
+    this.setLoop(loop);
+    this.setSpeed(speed);
+    if (!clip || !this.play(clip)) {
+      this.mixer.stopAllAction();
+      this.current = null;
+      return;
+    }
+    this.seek(time);
+    if (!playing) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Advances the animation
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    if (this.current) {
+      this.mixer.update(delta);
+    }
+  }
+
+  /**
+   * Stops every clip and frees the mixer's cached bindings
+   */
+  dispose() {
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.root);
+    this.current = null;
+  }
+
+  /**
+   * Gets the action of a clip, set up with the current loop mode
+   * @param {string} name - Clip name
+   * @returns {THREE.AnimationAction|null} Action, or null if there is no clip with that name
+   */
+  _getAction(name) {
+    const clip = this.clips.find(candidate => candidate.name === name);
+    if (!clip) {
+      return null;
+    }
+    const action = this.mixer.clipAction(clip);
+    // Clips that play once hold their last pose instead of snapping back to the rest pose
+    action.clampWhenFinished = true;
+    this._applyLoop(action);
+    return action;
+  }
+
+  /**
+   * Applies the loop mode to an action
+   * @param {THREE.AnimationAction} action - Action
+   */
+  _applyLoop(action) {
+    action.setLoop(LOOP_MODES.get(this.loop), Infinity);
+  }
+
+  /**
+   * Checks whether an action stopped at the end of a clip that plays once
+   * @param {THREE.AnimationAction} action - Action
+   * @returns {boolean} True if the action has finished
+   */
+  _isFinished(action) {
+    const duration = action.getClip().duration;
+    const atEnd = this.mixer.timeScale < 0 ? action.time <= 0 : action.time >= duration;
+    return action.loop === THREE.LoopOnce && atEnd;
+  }
+}
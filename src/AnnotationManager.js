@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+
+/**
+ * Manages labelled markers pinned to points on the models
+ * Each marker is a CSS2D label parented to its model's root object, so it follows the
+ * model as it rotates, moves and scales. Points and normals are stored in the root's local
+ * space and reported in world space. Markers on the far side of the model (their surface
+ * normal facing away from the camera) are hidden. The labels are drawn by the scene's
+ * CSS2DRenderer (see SceneManager).
+ */
+export class AnnotationManager {
+  constructor() {
+    this.annotations = new Map(); // id -> {id, objectId, text, color, root, marker, normal}
+    this.nextId = 1;
+  }
+
+  /**
+   * Pins a new annotation to a model
+   * @param {Object} options - Annotation options
+   * @param {string} options.objectId - ID of the object the annotation belongs to
+   * @param {THREE.Object3D} options.root - Root object of that model
+   * @param {{x: number, y: number, z: number}} options.point - World-space point on the surface
+   * @param {{x: number, y: number, z: number}} options.normal - World-space surface normal
+   * @param {string} options.text - Label text
+   * @param {string} options.color - Marker color (hex)
+   * @param {string} options.id - ID to reuse (when restoring a scene state), or null for a new one
+   * @returns {Object} The annotation, as reported by list()
+   */
+  add({ objectId, root, point, normal, text, color, id = null }) {
+    root.updateMatrixWorld();
+    const localPoint = root.worldToLocal(new THREE.Vector3(point.x, point.y, point.z));
+
+    // Normals map to world space through the normal matrix, so back through its inverse
+    const localNormal = new THREE.Vector3(normal.x, normal.y, normal.z)
+      .applyMatrix3(new THREE.Matrix3().getNormalMatrix(root.matrixWorld).invert());
+    if (localNormal.lengthSq() < 1e-12) {
+      localNormal.set(0, 0, 1);
+    }
+    localNormal.normalize();
+
+    const annotationId = id || `annotation-${this.nextId++}`;
+    this._reserveId(annotationId);
+
+    const marker = new CSS2DObject(this._createElement(text, color));
+    marker.position.copy(localPoint);
+    root.add(marker);
+
+    const annotation = { id: annotationId, objectId, text, color, root, marker, normal: localNormal };
+    this.annotations.set(annotationId, annotation);
+    return this._describe(annotation);
+  }
+
+  /**
+   * Changes the text or color of an annotation
+   * @param {string} id - Annotation ID
+   * @param {{text: string, color: string}} changes - Fields to change (others are kept)
+   * @returns {Object|null} The updated annotation, or null if no annotation has that ID
+   */
+  update(id, { text, color }) {
+    const annotation = this.annotations.get(id);
+    if (!annotation) {
+      return null;
+    }
+    if (text !== undefined) {
+      annotation.text = text;
+    }
+    if (color !== undefined) {
+      annotation.color = color;
+    }
+    this._updateElement(annotation.marker.element, annotation.text, annotation.color);
+    return this._describe(annotation);
+  }
+
+  /**
+   * Removes an annotation
+   * @param {string} id - Annotation ID
+   * @returns {boolean} False if no annotation has that ID
+   */
+  remove(id) {
+    const annotation = this.annotations.get(id);
+    if (!annotation) {
+      return false;
+    }
+    // CSS2DObject removes its element from the label layer when it leaves the scene graph
+    annotation.root.remove(annotation.marker);
+    this.annotations.delete(id);
+    return true;
+  }
+
+  /**
+   * Removes every annotation, or those of one object
+   * @param {string} objectId - Optional object ID
+   * @returns {number} Number of annotations removed
+   */
+  clear(objectId = null) {
+    const ids = [...this.annotations.values()]
+      .filter(annotation => !objectId || annotation.objectId === objectId)
+      .map(({ id }) => id);
+    ids.forEach(id => this.remove(id));
+    return ids.length;
+  }
+
+  /**
+   * Gets one annotation
+   * @param {string} id - Annotation ID
+   * @returns {Object|null} The annotation, or null if no annotation has that ID
+   */
+  get(id) {
+    const annotation = this.annotations.get(id);
+    return annotation ? this._describe(annotation) : null;
+  }
+
+  /**
+   * Lists the annotations in world space
+   * @returns {Array<{id: string, objectId: string, text: string, color: string, point: Object, normal: Object}>}
+   *   Annotations in the order they were added
+   */
+  list() {
+    return [...this.annotations.values()].map(annotation => this._describe(annotation));
+  }
+
+  /**
+   * Captures the annotations in their models' local space (unaffected by later model moves)
+   * @returns {Array<Object>} Opaque snapshot for restore()
+   */
+  capture() {
+    return [...this.annotations.values()].map(({ id, objectId, text, color, marker, normal }) => ({
+      id,
+      objectId,
+      text,
+      color,
+      point: marker.position.clone(),
+      normal: normal.clone()
+    }));
+  }
+
+  /**
+   * Replaces the annotations with a snapshot from capture()
+   * @param {Array<Object>} snapshot - Snapshot from capture()
+   * @param {Function} getRoot - Maps an object ID to its root object, or null if the object is gone
+   */
+  restore(snapshot, getRoot) {
+    this.clear();
+    snapshot.forEach(({ id, objectId, text, color, point, normal }) => {
+      const root = getRoot(objectId);
+      if (!root) {
+        return;
+      }
+      const marker = new CSS2DObject(this._createElement(text, color));
+      marker.position.copy(point);
+      root.add(marker);
+      this.annotations.set(id, { id, objectId, text, color, root, marker, normal: normal.clone() });
+    });
+  }
+
+  /**
+   * Hides the markers whose surface faces away from the camera
+   * @param {THREE.Camera} camera - Camera the scene is rendered with
+   */
+  updateVisibility(camera) {
+    const cameraPosition = camera.getWorldPosition(new THREE.Vector3());
+    this.annotations.forEach(({ root, marker, normal }) => {
+      root.updateMatrixWorld();
+      const point = marker.getWorldPosition(new THREE.Vector3());
+      const worldNormal = normal.clone().applyMatrix3(new THREE.Matrix3().getNormalMatrix(root.matrixWorld));
+      marker.visible = worldNormal.dot(cameraPosition.clone().sub(point)) > 0;
+    });
+  }
+
+  /**
+   * Describes an annotation in world space
+   * @param {Object} annotation - Internal annotation
+   * @returns {{id: string, objectId: string, text: string, color: string, point: Object, normal: Object}} Description
+   */
+  _describe({ id, objectId, text, color, root, marker, normal }) {
+    root.updateMatrixWorld();
+    const point = marker.getWorldPosition(new THREE.Vector3());
+    const worldNormal = normal.clone()
+      .applyMatrix3(new THREE.Matrix3().getNormalMatrix(root.matrixWorld))
+      .normalize();
+    return {
+      id,
+      objectId,
+      text,
+      color,
+      point: { x: point.x, y: point.y, z: point.z },
+      normal: { x: worldNormal.x, y: worldNormal.y, z: worldNormal.z }
+    };
+  }
+
+  /**
+   * Keeps generated IDs clear of an ID that is in use (e.g., one restored from a scene state)
+   * @param {string} id - Annotation ID
+   */
+  _reserveId(id) {
+    const match = /^annotation-(\d+)$/.exec(id);
+    if (match) {
+      this.nextId = Math.max(this.nextId, Number(match[1]) + 1);
+    }
+  }
+
+  /**
+   * Creates the marker element: a colored dot with the label text beside it
+   * @param {string} text - Label text
+   * @param {string} color - Dot color (hex)
+   * @returns {HTMLElement} Marker element
+   */
+  _createElement(text, color) {
+    const element = document.createElement('div');
+    element.className = 'annotation';
+    const dot = document.createElement('span');
+    dot.className = 'annotation-dot';
+    const label = document.createElement('span');
+    label.className = 'annotation-label';
+    element.append(dot, label);
+    this._updateElement(element, text, color);
+    return element;
+  }
+
+  /**
+   * Writes the text and color into a marker element
+   * @param {HTMLElement} element - Marker element from _createElement()
+   * @param {string} text - Label text
+   * @param {string} color - Dot color (hex)
+   */
+  _updateElement(element, text, color) {
+    element.querySelector('.annotation-dot').style.backgroundColor = color;
+    element.querySelector('.annotation-label').textContent = text;
+  }
+}
@@ -4,6 +4,16 @@ import { RotationController } from './RotationController.js';
 import { WebSocketClient } from './WebSocketClient.js';
 import { RayPicker } from './RayPicker.js';
 import { InteractionModeManager } from './InteractionModeManager.js';
+import { CommandError } from './CommandError.js';
+import { HistoryManager } from './HistoryManager.js';
+import { SceneToolbar } from './SceneToolbar.js';
+import { ScenePresetStore } from './ScenePresetStore.js';
+import { ModelDropZone } from './ModelDropZone.js';
+import { MeasurementManager } from './MeasurementManager.js';
+import { getMaterialPreset, listMaterialPresets } from './materialPresets.js';
+import { COMMAND_SCHEMAS, SCENE_STATE_PROPERTIES, buildCommandManifest } from './commandSchemas.js';
+import { validateCommand, validateParams } from './utils/validation/commandValidation.js';
+import { encodeSceneLink, decodeSceneLink, getSceneLinkFromHash, buildSceneLinkUrl } from './utils/url/sceneLink.js';
 import { CONFIG } from './constants.js';
 
 /**
@@ -15,8 +25,9 @@ export class Application {
     this.cameraController = new CameraController();
     this.sceneManager = new SceneManager(canvas, this.cameraController.getCamera());
     
-    // Initialize scene manager (loads model asynchronously)
-    await this.sceneManager.initialize();
+    // Initialize scene manager (loads model asynchronously, from ?model= if given)
+    const modelUrl = new URLSearchParams(window.location.search).get('model');
+    await this.sceneManager.initialize(modelUrl);
     
     this.rotationController = new RotationController(this.sceneManager.getModel(), canvas);
     
@@ -25,6 +36,18 @@ export class Application {
       this.sceneManager.render(this.cameraController.getCamera());
     };
     
+    // Undo/redo history (commands and user drags)
+    this.history = new HistoryManager();
+    // Tail of the command queue: commands run one at a time, in the order they arrive
+    this.commandQueue = Promise.resolve();
+    this.pendingUserEdit = null;
+    this.rotationController.onDragStart = () => {
+      this._beginUserEdit('modelRotationDrag');
+    };
+    this.rotationController.onDragEnd = () => {
+      this._commitUserEdit();
+    };
+    
     // Initialize arcball view bounds
     const rect = this.canvas.getBoundingClientRect();
     this.rotationController.reshape({
@@ -36,10 +59,19 @@ export class Application {
     this.sceneManager.setCameraController(this.cameraController);
     this.sceneManager.setRotationController(this.rotationController);
     
+    // Models other than the bundled one come in arbitrary units, so fit the camera to them
+    if (modelUrl) {
+      this.sceneManager.frameModel();
+    }
+    
     // Track mouse velocity for momentum
     this.lastMousePosition = { x: 0, y: 0 };
     this.lastMouseTime = 0;
     this.mouseVelocity = { x: 0, y: 0 };
+    this.mouseDownPosition = null; // Set while a press could still turn out to be a click
+    this.lastPick = null; // Last surface the user clicked (see _pickSurface)
+    this.measurementMode = 'off'; // Measurement picked by clicks ("distance", "angle", "area") or "off"
+    this.clippingDrag = null; // {id, startY, startOffset} while Alt+dragging a clipping plane
     
     // Initialize ray picker and interaction mode manager
     this.rayPicker = new RayPicker();
@@ -48,16 +80,26 @@ export class Application {
     this.isAreaLightDragging = false;
     this.areaLightDragStartPosition = { x: 0, y: 0 };
     
+    // Named scene presets (persisted in localStorage)
+    this.presetStore = new ScenePresetStore();
+    
     // Initialize command handler map
     this._initCommandHandlers();
     
+    // Restore a shared view before connecting so the first state push reflects it
+    this._applySceneLinkFromHash();
+    
     this._setupWebSocket();
     this._setupEventListeners();
+    this._setupToolbar();
+    this._setupModelDrop();
     this._startAnimation();
   }
 
   /**
    * Initialize the command handler map for WebSocket commands
+   * Handlers return the resulting values (reported back in commandResult) and
+   * throw to report a failure
    */
   _initCommandHandlers() {
     this.commandHandlers = new Map([
@@ -65,228 +107,638 @@ export class Application {
         this._showToolNotification(command.toolName);
       }],
       ['changeColor', (command) => {
-        this.sceneManager.changeModelColor(command.color);
+        if (!this.sceneManager.changeModelColor(command.color, command.part, command.objectId)) {
+          throw this._partNotFoundError(command.part, command.objectId);
+        }
+        return command.part ? { color: command.color, part: command.part } : { color: this.sceneManager.getModelColor(command.objectId) };
+      }],
+      ['setModelRoughness', (command) => {
+        return this._setModelMaterial({ roughness: command.roughness }, command.part, command.objectId);
+      }],
+      ['setModelMetalness', (command) => {
+        return this._setModelMaterial({ metalness: command.metalness }, command.part, command.objectId);
+      }],
+      ['setModelOpacity', (command) => {
+        return this._setModelMaterial({ opacity: command.opacity }, command.part, command.objectId);
+      }],
+      ['setModelEmissiveColor', (command) => {
+        return this._setModelMaterial({ emissive: command.color }, command.part, command.objectId);
+      }],
+      ['setModelEmissiveIntensity', (command) => {
+        return this._setModelMaterial({ emissiveIntensity: command.intensity }, command.part, command.objectId);
+      }],
+      ['setModelFlatShading', (command) => {
+        return this._setModelMaterial({ flatShading: command.enabled }, command.part, command.objectId);
+      }],
+      ['setModelWireframe', (command) => {
+        return this._setModelMaterial({ wireframe: command.enabled }, command.part, command.objectId);
+      }],
+      ['setModelSide', (command) => {
+        return this._setModelMaterial({ side: command.side }, command.part, command.objectId);
+      }],
+      ['applyMaterialPreset', (command) => {
+        const { color, properties } = getMaterialPreset(command.name);
+        const result = { preset: command.name, ...this._setModelMaterial(properties, command.part, command.objectId) };
+        if (!command.keepColor) {
+          this.sceneManager.changeModelColor(color, command.part, command.objectId);
+          result.color = color;
+        }
+        return result;
+      }],
+      ['listMaterialPresets', () => {
+        return listMaterialPresets();
+      }],
+      ['getModelMaterial', (command) => {
+        const material = this.sceneManager.getModelMaterial(command.part, command.objectId);
+        if (!material) {
+          throw this._partNotFoundError(command.part, command.objectId);
+        }
+        return material;
+      }],
+      ['setModelTexture', async (command) => {
+        let applied;
+        try {
+          applied = await this.sceneManager.loadModelTexture(command.slot, command.url, { part: command.part }, command.objectId);
+        } catch (error) {
+          throw new CommandError(
+            CommandError.TEXTURE_LOAD_FAILED,
+            `Could not load texture from ${command.url}: ${(error && error.message) || error}`,
+            { url: command.url }
+          );
+        }
+        if (!applied) {
+          throw this._partNotFoundError(command.part, command.objectId);
+        }
+        return { slot: command.slot, url: command.url, ...this.sceneManager.getModelTextures(command.part, command.objectId) };
+      }],
+      ['clearModelTexture', (command) => {
+        if (!this.sceneManager.clearModelTexture(command.slot, command.part, command.objectId)) {
+          throw this._partNotFoundError(command.part, command.objectId);
+        }
+        return { slot: command.slot, ...this.sceneManager.getModelTextures(command.part, command.objectId) };
+      }],
+      ['setTextureTransform', (command) => {
+        // Only the given components change; the others keep their current value
+        const pair = (x, y) => ({ ...(x !== undefined && { x }), ...(y !== undefined && { y }) });
+        return this.sceneManager.setModelTextureTransform({
+          repeat: pair(command.repeatX, command.repeatY),
+          offset: pair(command.offsetX, command.offsetY),
+          rotation: command.rotation
+        }, command.objectId);
+      }],
+      ['getModelTextures', (command) => {
+        const textures = this.sceneManager.getModelTextures(command.part, command.objectId);
+        if (!textures) {
+          throw this._partNotFoundError(command.part, command.objectId);
+        }
+        return textures;
       }],
       ['changeSize', (command) => {
-        this.sceneManager.changeModelSize(command.size);
+        this.sceneManager.changeModelSize(command.size, command.objectId);
+        return { scale: this.sceneManager.getModelScale(command.objectId) };
       }],
       ['scaleModel', (command) => {
-        this.sceneManager.scaleModel(command.x, command.y, command.z);
+        this.sceneManager.scaleModel(command.x, command.y, command.z, command.objectId);
+        return { scale: this.sceneManager.getModelScale(command.objectId) };
       }],
       ['changeBackgroundColor', (command) => {
         this.sceneManager.changeBackgroundColor(command.color);
+        return { background: this.sceneManager.getBackgroundColor() };
       }],
-      ['getBackgroundColor', (command) => {
-        const color = this.sceneManager.getBackgroundColor();
-        console.log('Background color:', color);
+      ['getBackgroundColor', () => {
+        return this.sceneManager.getBackgroundColor();
       }],
       // Key light controls
       ['setKeyLightIntensity', (command) => {
         this.sceneManager.setKeyLightIntensity(command.intensity);
+        return { intensity: this.sceneManager.getKeyLightIntensity() };
       }],
       ['setKeyLightColor', (command) => {
         this.sceneManager.setKeyLightColor(command.color);
+        return { color: this.sceneManager.getKeyLightColor() };
       }],
       ['swingKeyLightUp', () => {
         this.sceneManager.swingKeyLightUp();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['swingKeyLightDown', () => {
         this.sceneManager.swingKeyLightDown();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['swingKeyLightLeft', () => {
         this.sceneManager.swingKeyLightLeft();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['swingKeyLightRight', () => {
         this.sceneManager.swingKeyLightRight();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['walkKeyLightIn', () => {
         this.sceneManager.walkKeyLightIn();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['walkKeyLightOut', () => {
         this.sceneManager.walkKeyLightOut();
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['setKeyLightPositionSpherical', (command) => {
         this.sceneManager.setKeyLightPositionSpherical(
           command.azimuth,
           command.elevation
         );
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
-      ['getKeyLightPositionSpherical', (command) => {
-        const position = this.sceneManager.getKeyLightPositionSpherical();
-        // Note: Response would need to be sent back via WebSocket for full implementation
-        // For now, just log it (MCP server will handle response)
-        console.log('Key light position (spherical):', position);
+      ['getKeyLightPositionSpherical', () => {
+        return this.sceneManager.getKeyLightPositionSpherical();
       }],
-      ['getKeyLightIntensity', (command) => {
-        const intensity = this.sceneManager.getKeyLightIntensity();
-        console.log('Key light intensity:', intensity);
+      ['getKeyLightIntensity', () => {
+        return this.sceneManager.getKeyLightIntensity();
       }],
-      ['getKeyLightColor', (command) => {
-        const color = this.sceneManager.getKeyLightColor();
-        console.log('Key light color:', color);
+      ['getKeyLightColor', () => {
+        return this.sceneManager.getKeyLightColor();
       }],
-      ['getKeyLightSize', (command) => {
-        const size = this.sceneManager.getKeyLightSize();
-        console.log('Key light size:', size);
+      ['getKeyLightSize', () => {
+        return this.sceneManager.getKeyLightSize();
       }],
       // Fill light controls
       ['setFillLightIntensity', (command) => {
         this.sceneManager.setFillLightIntensity(command.intensity);
+        return { intensity: this.sceneManager.getFillLightIntensity() };
       }],
       ['setFillLightColor', (command) => {
         this.sceneManager.setFillLightColor(command.color);
+        return { color: this.sceneManager.getFillLightColor() };
       }],
       ['swingFillLightUp', () => {
         this.sceneManager.swingFillLightUp();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['swingFillLightDown', () => {
         this.sceneManager.swingFillLightDown();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['swingFillLightLeft', () => {
         this.sceneManager.swingFillLightLeft();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['swingFillLightRight', () => {
         this.sceneManager.swingFillLightRight();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['walkFillLightIn', () => {
         this.sceneManager.walkFillLightIn();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['walkFillLightOut', () => {
         this.sceneManager.walkFillLightOut();
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['setFillLightPositionSpherical', (command) => {
         this.sceneManager.setFillLightPositionSpherical(
           command.azimuth,
           command.elevation
         );
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
-      ['getFillLightPositionSpherical', (command) => {
-        const position = this.sceneManager.getFillLightPositionSpherical();
-        // Note: Response would need to be sent back via WebSocket for full implementation
-        // For now, just log it (MCP server will handle response)
-        console.log('Fill light position (spherical):', position);
+      ['getFillLightPositionSpherical', () => {
+        return this.sceneManager.getFillLightPositionSpherical();
       }],
-      ['getFillLightIntensity', (command) => {
-        const intensity = this.sceneManager.getFillLightIntensity();
-        console.log('Fill light intensity:', intensity);
+      ['getFillLightIntensity', () => {
+        return this.sceneManager.getFillLightIntensity();
       }],
-      ['getFillLightColor', (command) => {
-        const color = this.sceneManager.getFillLightColor();
-        console.log('Fill light color:', color);
+      ['getFillLightColor', () => {
+        return this.sceneManager.getFillLightColor();
       }],
-      ['getFillLightSize', (command) => {
-        const size = this.sceneManager.getFillLightSize();
-        console.log('Fill light size:', size);
+      ['getFillLightSize', () => {
+        return this.sceneManager.getFillLightSize();
       }],
       // Camera control commands
       ['dollyCamera', (command) => {
         this.sceneManager.dollyCamera(command.distance);
+        return { distance: this.sceneManager.getCameraDistance() };
       }],
       ['dollyCameraIn', (command) => {
         this.sceneManager.dollyCameraIn(command.amount);
+        return { distance: this.sceneManager.getCameraDistance() };
       }],
       ['dollyCameraOut', (command) => {
         this.sceneManager.dollyCameraOut(command.amount);
+        return { distance: this.sceneManager.getCameraDistance() };
       }],
       ['setCameraFOV', (command) => {
         this.sceneManager.setCameraFOV(command.fov);
+        return { fov: this.sceneManager.getCameraFOV() };
       }],
       ['increaseCameraFOV', (command) => {
         this.sceneManager.increaseCameraFOV(command.amount);
+        return { fov: this.sceneManager.getCameraFOV() };
       }],
       ['decreaseCameraFOV', (command) => {
         this.sceneManager.decreaseCameraFOV(command.amount);
+        return { fov: this.sceneManager.getCameraFOV() };
       }],
-      ['getCameraDistance', (command) => {
-        const distance = this.sceneManager.getCameraDistance();
-        console.log('Camera distance:', distance);
+      ['getCameraDistance', () => {
+        return this.sceneManager.getCameraDistance();
       }],
-      ['getCameraFOV', (command) => {
-        const fov = this.sceneManager.getCameraFOV();
-        console.log('Camera FOV:', fov);
+      ['getCameraFOV', () => {
+        return this.sceneManager.getCameraFOV();
       }],
       // Model rotation commands
       ['getModelRotation', (command) => {
-        const rotation = this.sceneManager.getModelRotation();
-        // Note: Response would need to be sent back via WebSocket for full implementation
-        // For now, just log it (MCP server will handle response)
-        console.log('Model rotation (Euler angles):', rotation);
+        return this.sceneManager.getModelRotation(command.objectId);
       }],
       ['getModelColor', (command) => {
-        const color = this.sceneManager.getModelColor();
-        console.log('Model color:', color);
+        return this.sceneManager.getModelColor(command.objectId);
       }],
       ['getModelScale', (command) => {
-        const scale = this.sceneManager.getModelScale();
-        console.log('Model scale:', scale);
+        return this.sceneManager.getModelScale(command.objectId);
       }],
       ['setModelRotation', (command) => {
         this.sceneManager.setModelRotation(
           command.x,
           command.y,
-          command.z
+          command.z,
+          command.objectId
         );
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['rotateModelClockwise', (command) => {
-        this.sceneManager.rotateModelClockwise(command.degrees);
+        this.sceneManager.rotateModelClockwise(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['rotateModelCounterclockwise', (command) => {
-        this.sceneManager.rotateModelCounterclockwise(command.degrees);
+        this.sceneManager.rotateModelCounterclockwise(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['nudgeModelPitchUp', (command) => {
-        this.sceneManager.nudgeModelPitchUp(command.degrees);
+        this.sceneManager.nudgeModelPitchUp(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['nudgeModelPitchDown', (command) => {
-        this.sceneManager.nudgeModelPitchDown(command.degrees);
+        this.sceneManager.nudgeModelPitchDown(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
       }],
       ['nudgeModelRoll', (command) => {
-        this.sceneManager.nudgeModelRoll(command.degrees);
+        this.sceneManager.nudgeModelRoll(command.degrees, command.objectId);
+        return { rotation: this.sceneManager.getModelRotation(command.objectId) };
+      }],
+      // Model position and pivot commands
+      ['getModelPosition', (command) => {
+        return this.sceneManager.getModelPosition(command.objectId);
+      }],
+      ['setModelPosition', (command) => {
+        this.sceneManager.setModelPosition(command.x, command.y, command.z, command.objectId);
+        return { position: this.sceneManager.getModelPosition(command.objectId) };
+      }],
+      ['translateModel', (command) => {
+        this.sceneManager.translateModel(command.x, command.y, command.z, command.relativeTo, command.objectId);
+        return { position: this.sceneManager.getModelPosition(command.objectId) };
+      }],
+      ['moveModelLeft', (command) => {
+        this.sceneManager.translateModel(-command.distance, 0, 0, 'camera', command.objectId);
+        return { position: this.sceneManager.getModelPosition(command.objectId) };
+      }],
+      ['moveModelRight', (command) => {
+        this.sceneManager.translateModel(command.distance, 0, 0, 'camera', command.objectId);
+        return { position: this.sceneManager.getModelPosition(command.objectId) };
+      }],
+      ['moveModelUp', (command) => {
+        this.sceneManager.translateModel(0, command.distance, 0, 'camera', command.objectId);
+        return { position: this.sceneManager.getModelPosition(command.objectId) };
+      }],
+      ['moveModelDown', (command) => {
+        this.sceneManager.translateModel(0, -command.distance, 0, 'camera', command.objectId);
+        return { position: this.sceneManager.getModelPosition(command.objectId) };
+      }],
+      ['getModelPivot', (command) => {
+        return this.sceneManager.getModelPivot(command.objectId);
+      }],
+      ['setModelPivot', (command) => {
+        this.sceneManager.setModelPivot(command.x, command.y, command.z, command.objectId);
+        return {
+          pivot: this.sceneManager.getModelPivot(command.objectId),
+          position: this.sceneManager.getModelPosition(command.objectId)
+        };
+      }],
+      ['resetModelTransform', (command) => {
+        this.sceneManager.resetModelTransform(command.objectId);
+        return {
+          position: this.sceneManager.getModelPosition(command.objectId),
+          pivot: this.sceneManager.getModelPivot(command.objectId),
+          rotation: this.sceneManager.getModelRotation(command.objectId),
+          scale: this.sceneManager.getModelScale(command.objectId)
+        };
       }],
       // Key light relative adjustment commands
       ['rotateKeyLightClockwise', (command) => {
         this.sceneManager.rotateKeyLightClockwise(command.degrees);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['rotateKeyLightCounterclockwise', (command) => {
         this.sceneManager.rotateKeyLightCounterclockwise(command.degrees);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['nudgeKeyLightElevationUp', (command) => {
         this.sceneManager.nudgeKeyLightElevationUp(command.degrees);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['nudgeKeyLightElevationDown', (command) => {
         this.sceneManager.nudgeKeyLightElevationDown(command.degrees);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['moveKeyLightTowardDirection', (command) => {
         this.sceneManager.moveKeyLightTowardDirection(
           command.direction,
           command.degrees
         );
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       // Fill light relative adjustment commands
       ['rotateFillLightClockwise', (command) => {
         this.sceneManager.rotateFillLightClockwise(command.degrees);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['rotateFillLightCounterclockwise', (command) => {
         this.sceneManager.rotateFillLightCounterclockwise(command.degrees);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['nudgeFillLightElevationUp', (command) => {
         this.sceneManager.nudgeFillLightElevationUp(command.degrees);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['nudgeFillLightElevationDown', (command) => {
         this.sceneManager.nudgeFillLightElevationDown(command.degrees);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['moveFillLightTowardDirection', (command) => {
         this.sceneManager.moveFillLightTowardDirection(
           command.direction,
           command.degrees
         );
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
       }],
       ['setKeyLightDistance', (command) => {
         this.sceneManager.setKeyLightDistance(command.distance);
+        return { position: this.sceneManager.getKeyLightPositionSpherical() };
       }],
       ['setFillLightDistance', (command) => {
         this.sceneManager.setFillLightDistance(command.distance);
+        return { position: this.sceneManager.getFillLightPositionSpherical() };
+      }],
+      // Composite commands
+      ['batch', (command) => {
+        return this._executeBatch(command.commands);
+      }],
+      // Scene state commands
+      ['setSceneState', (command) => {
+        this.setSceneState(command.state);
+        return this.getSceneState();
+      }],
+      // Scene preset commands
+      ['saveScenePreset', (command) => {
+        this.presetStore.save(command.name, this.getSceneState());
+        this._refreshPresetPicker();
+        return { name: command.name, presets: this.presetStore.list() };
+      }],
+      ['loadScenePreset', (command) => {
+        const state = this.presetStore.load(command.name);
+        if (!state) {
+          throw new CommandError(CommandError.NOT_FOUND, `No scene preset named "${command.name}"`);
+        }
+        // Stored presets can be edited by hand, so validate them like inbound state
+        this.setSceneState(validateParams(state, SCENE_STATE_PROPERTIES, 'preset'));
+        return this.getSceneState();
+      }],
+      ['loadModel', async (command) => {
+        try {
+          return await this.sceneManager.loadModel(command.url, {
+            objectId: command.objectId,
+            format: command.format,
+            preserveHierarchy: command.preserveHierarchy,
+            normalizeSize: command.normalize ? command.targetSize : null,
+            frame: command.frame
+          });
+        } catch (error) {
+          throw new CommandError(
+            CommandError.MODEL_LOAD_FAILED,
+            `Could not load model from ${command.url}: ${(error && error.message) || error}`,
+            { url: command.url }
+          );
+        }
+      }],
+      ['addModel', async (command) => {
+        try {
+          return await this.sceneManager.addModel(command.url, {
+            name: command.name,
+            format: command.format,
+            preserveHierarchy: command.preserveHierarchy,
+            normalizeSize: command.normalize ? command.targetSize : null,
+            select: command.select,
+            frame: command.frame
+          });
+        } catch (error) {
+          throw new CommandError(
+            CommandError.MODEL_LOAD_FAILED,
+            `Could not load model from ${command.url}: ${(error && error.message) || error}`,
+            { url: command.url }
+          );
+        }
+      }],
+      ['frameModel', (command) => {
+        return this.sceneManager.frameModel(command.objectId);
+      }],
+      ['getModelParts', (command) => {
+        return this.sceneManager.getModelPartNames(command.objectId);
+      }],
+      ['getModelUrl', (command) => {
+        return this.sceneManager.getModelUrl(command.objectId);
+      }],
+      ['getModelInfo', (command) => {
+        return this.sceneManager.getModelInfo(command.objectId);
+      }],
+      ['getLastPick', () => {
+        return this.lastPick;
+      }],
+      // Object registry commands
+      ['listObjects', () => {
+        return this.sceneManager.listObjects();
+      }],
+      ['selectObject', (command) => {
+        this.sceneManager.selectObject(command.objectId);
+        return this.sceneManager.listObjects();
+      }],
+      ['removeObject', (command) => {
+        this.sceneManager.removeObject(command.objectId);
+        return this.sceneManager.listObjects();
+      }],
+      // Annotation commands
+      ['addAnnotation', (command) => {
+        const { text, point, normal, color } = command;
+        return this.sceneManager.addAnnotation({ text, point, normal, color }, command.objectId);
+      }],
+      ['updateAnnotation', (command) => {
+        const annotation = this.sceneManager.updateAnnotation(command.id, { text: command.text, color: command.color });
+        if (!annotation) {
+          throw this._annotationNotFoundError(command.id);
+        }
+        return annotation;
+      }],
+      ['removeAnnotation', (command) => {
+        if (!this.sceneManager.removeAnnotation(command.id)) {
+          throw this._annotationNotFoundError(command.id);
+        }
+      }],
+      ['clearAnnotations', (command) => {
+        return this.sceneManager.clearAnnotations(command.objectId);
+      }],
+      ['listAnnotations', () => {
+        return this.sceneManager.listAnnotations();
+      }],
+      // Measurement commands
+      ['measureDistance', (command) => {
+        return this.sceneManager.measure('distance', [command.from, command.to], command.objectId);
+      }],
+      ['measureAngle', (command) => {
+        return this.sceneManager.measure('angle', [command.start, command.vertex, command.end], command.objectId);
+      }],
+      ['measureArea', (command) => {
+        const minimum = MeasurementManager.getPointCount('area');
+        if (command.points.length < minimum) {
+          throw new CommandError(
+            CommandError.INVALID_PARAMS,
+            `An area needs at least ${minimum} points (got ${command.points.length})`,
+            { param: 'points', count: command.points.length }
+          );
+        }
+        return this.sceneManager.measure('area', command.points, command.objectId);
+      }],
+      ['listMeasurements', () => {
+        return this.sceneManager.listMeasurements();
+      }],
+      ['removeMeasurement', (command) => {
+        if (!this.sceneManager.removeMeasurement(command.id)) {
+          throw new CommandError(
+            CommandError.NOT_FOUND,
+            `No measurement with ID "${command.id}"`,
+            { id: command.id, measurements: this.sceneManager.listMeasurements().map(({ id }) => id) }
+          );
+        }
+      }],
+      ['clearMeasurements', (command) => {
+        return this.sceneManager.clearMeasurements(command.objectId);
+      }],
+      ['setMeasurementMode', (command) => {
+        this.setMeasurementMode(command.mode);
+        return { mode: this.measurementMode };
+      }],
+      // Clipping plane commands
+      ['addClippingPlane', (command) => {
+        const { axis, normal, offset, relativeTo, cap, capColor } = command;
+        if (!axis && !normal) {
+          throw new CommandError(CommandError.INVALID_PARAMS, 'A clipping plane needs an axis or a normal', { params: ['axis', 'normal'] });
+        }
+        const maximum = CONFIG.CLIPPING.MAX_PLANES;
+        if (this.sceneManager.listClippingPlanes().length >= maximum) {
+          throw new CommandError(CommandError.LIMIT_REACHED, `At most ${maximum} clipping planes can be active`, { maximum });
+        }
+        return this.sceneManager.addClippingPlane({ axis, normal, offset, relativeTo, cap, capColor }, command.objectId);
+      }],
+      ['updateClippingPlane', (command) => {
+        const { axis, normal, offset, relativeTo, cap, capColor } = command;
+        const plane = this.sceneManager.updateClippingPlane(command.id, { axis, normal, offset, relativeTo, cap, capColor });
+        if (!plane) {
+          throw this._clippingPlaneNotFoundError(command.id);
+        }
+        return plane;
+      }],
+      ['removeClippingPlane', (command) => {
+        if (!this.sceneManager.removeClippingPlane(command.id)) {
+          throw this._clippingPlaneNotFoundError(command.id);
+        }
+      }],
+      ['clearClippingPlanes', (command) => {
+        return this.sceneManager.clearClippingPlanes(command.objectId);
+      }],
+      ['listClippingPlanes', () => {
+        return this.sceneManager.listClippingPlanes();
+      }],
+      // Animation commands
+      ['listAnimations', (command) => {
+        return this.sceneManager.getModelAnimation(command.objectId).listClips();
+      }],
+      ['playAnimation', (command) => {
+        const animation = this._getClipAnimation(command.objectId);
+        if (!animation.play(command.clip)) {
+          throw this._animationClipNotFoundError(command.clip, command.objectId);
+        }
+        return animation.getState();
+      }],
+      ['pauseAnimation', (command) => {
+        const animation = this._getClipAnimation(command.objectId);
+        animation.pause();
+        return animation.getState();
+      }],
+      ['seekAnimation', (command) => {
+        const animation = this._getClipAnimation(command.objectId);
+        animation.seek(command.time);
+        return animation.getState();
+      }],
+      ['setAnimationLoop', (command) => {
+        const animation = this._getClipAnimation(command.objectId);
+        animation.setLoop(command.mode);
+        return animation.getState();
+      }],
+      ['setAnimationSpeed', (command) => {
+        const animation = this._getClipAnimation(command.objectId);
+        animation.setSpeed(command.speed);
+        return animation.getState();
+      }],
+      ['crossFadeAnimation', (command) => {
+        const animation = this._getClipAnimation(command.objectId);
+        if (!animation.crossFade(command.clip, command.duration)) {
+          throw this._animationClipNotFoundError(command.clip, command.objectId);
+        }
+        return animation.getState();
+      }],
+      ['getAnimationState', (command) => {
+        return this.sceneManager.getAnimationState(command.objectId);
+      }],
+      ['getShareableLink', () => {
+        return this.getShareableLink();
+      }],
+      ['listScenePresets', () => {
+        return this.presetStore.list();
+      }],
+      ['deleteScenePreset', (command) => {
+        if (!this.presetStore.delete(command.name)) {
+          throw new CommandError(CommandError.NOT_FOUND, `No scene preset named "${command.name}"`);
+        }
+        this._refreshPresetPicker();
+        return { name: command.name, presets: this.presetStore.list() };
+      }],
+      // History commands
+      ['undo', () => {
+        return this._undo();
+      }],
+      ['redo', () => {
+        return this._redo();
+      }],
+      ['getHistory', () => {
+        return this.history.getHistory();
       }]
     ]);
+
+    // Commands that can target an object check its ID before running (also inside batches,
+    // where earlier steps may add or remove objects)
+    this.commandHandlers.forEach((handler, type) => {
+      const schema = COMMAND_SCHEMAS.get(type);
+      if (schema && schema.params.objectId) {
+        this.commandHandlers.set(type, (command) => {
+          this._assertObjectExists(command.objectId);
+          return handler(command);
+        });
+      }
+    });
   }
 
   _setupEventListeners() {
@@ -301,6 +753,18 @@ export class Application {
         // Start area light rotation drag
         this.isAreaLightDragging = true;
         this.areaLightDragStartPosition = { x: e.clientX, y: e.clientY };
+        this._beginUserEdit(`${this.currentHoveredAreaLight.getType()}LightDrag`);
+        return;
+      }
+      
+      // Alt+drag sweeps the last clipping plane through the model
+      if (e.altKey && this._beginClippingDrag(e.clientY)) {
+        return;
+      }
+      
+      // Measurement mode only picks points (on release)
+      if (this.interactionModeManager.isMeasurementMode()) {
+        this.mouseDownPosition = { x: e.clientX, y: e.clientY };
         return;
       }
       
@@ -312,6 +776,7 @@ export class Application {
       this.lastMousePosition = { x: e.clientX, y: e.clientY };
       this.lastMouseTime = Date.now();
       this.mouseVelocity = { x: 0, y: 0 };
+      this.mouseDownPosition = { x: e.clientX, y: e.clientY };
       this.rotationController.beginDrag({ x, y });
     });
 
@@ -327,6 +792,11 @@ export class Application {
       // Perform ray picking for area light helpers
       this._updateAreaLightHover();
       
+      if (this.clippingDrag) {
+        this._updateClippingDrag(e.clientY);
+        return;
+      }
+      
       // Handle area light rotation drag
       if (this.isAreaLightDragging && this.currentHoveredAreaLight) {
         // Calculate mouse movement delta
@@ -340,6 +810,7 @@ export class Application {
         
         // Rotate the area light
         this.currentHoveredAreaLight.rotate(rotationDeltaX, rotationDeltaY);
+        this._markUserEditChanged();
         
         // Update drag start position for next frame
         this.areaLightDragStartPosition = { x: e.clientX, y: e.clientY };
@@ -363,13 +834,20 @@ export class Application {
         this.lastMouseTime = now;
         
         this.rotationController.updateDrag({ x, y });
+        this._markUserEditChanged();
       }
     });
 
     this.canvas.addEventListener('mouseup', (e) => {
+      if (this.clippingDrag) {
+        this._endClippingDrag();
+        return;
+      }
+      
       // End area light rotation drag
       if (this.isAreaLightDragging) {
         this.isAreaLightDragging = false;
+        this._commitUserEdit();
         return;
       }
       
@@ -381,12 +859,31 @@ export class Application {
         const y = e.clientY - rect.top;
         this.rotationController.endDrag(this.mouseVelocity, { x, y });
       }
+      
+      // A press and release without dragging picks the surface under the pointer
+      const down = this.mouseDownPosition;
+      this.mouseDownPosition = null;
+      if (down && Math.hypot(e.clientX - down.x, e.clientY - down.y) <= CONFIG.INTERACTION.CLICK_TOLERANCE) {
+        const pick = this._pickSurface(e.clientX, e.clientY);
+        if (pick && this.interactionModeManager.isMeasurementMode()) {
+          this._addMeasurementPoint(pick);
+        } else if (pick && e.shiftKey) {
+          // Shift+click pins an annotation to the picked point
+          this._annotatePick(pick);
+        }
+      }
     });
 
     this.canvas.addEventListener('mouseleave', () => {
+      this.mouseDownPosition = null;
+      if (this.clippingDrag) {
+        this._endClippingDrag();
+      }
+      
       // End area light rotation drag
       if (this.isAreaLightDragging) {
         this.isAreaLightDragging = false;
+        this._commitUserEdit();
       }
       
       // End model rotation drag
@@ -411,8 +908,8 @@ export class Application {
         return;
       }
       
-      // Handle camera wheel in model rotation mode
-      if (this.interactionModeManager.isModelRotationMode()) {
+      // Handle camera wheel in model rotation and measurement modes
+      if (this.interactionModeManager.isModelRotationMode() || this.interactionModeManager.isMeasurementMode()) {
         const isShiftPressed = e.shiftKey;
         this.cameraController.handleWheel(e.deltaY, isShiftPressed);
       }
@@ -442,6 +939,21 @@ export class Application {
       }
     });
 
+    // Shared links pasted into the current tab only change the hash
+    window.addEventListener('hashchange', () => {
+      this._enqueue('scene link', () => {
+        if (this._applySceneLinkFromHash()) {
+          this._sendStateUpdate();
+        }
+      });
+    });
+
+    // Undo/redo and measurement keyboard shortcuts
+    window.addEventListener('keydown', (e) => {
+      this._handleMeasurementKey(e);
+      this._handleKeyDown(e);
+    });
+
     // Window resize
     window.addEventListener('resize', () => {
       this.cameraController.handleResize();
@@ -455,6 +967,219 @@ export class Application {
     });
   }
 
+  /**
+   * Handles Enter (closes the area outline being picked) and Escape (discards the picked points)
+   * while measuring
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  _handleMeasurementKey(e) {
+    if (!this.interactionModeManager.isMeasurementMode()) {
+      return;
+    }
+    if (e.key === 'Escape') {
+      this.sceneManager.cancelMeasurement();
+    } else if (e.key === 'Enter' && this.measurementMode === 'area') {
+      this._completeMeasurement();
+    }
+  }
+
+  /**
+   * Handles Ctrl+Z (undo) and Ctrl+Shift+Z (redo); Cmd is accepted on macOS
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  _handleKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') {
+      return;
+    }
+    
+    // Leave text fields their native undo
+    if (e.target instanceof Element && e.target.closest('input, textarea, select')) {
+      return;
+    }
+    
+    e.preventDefault();
+    const redo = e.shiftKey;
+    // Queued so the history is not rewound under a command that is still running
+    this._enqueue(redo ? 'redo' : 'undo', () => {
+      const canApply = redo ? this.history.canRedo() : this.history.canUndo();
+      if (!canApply) {
+        return;
+      }
+      if (redo) {
+        this._redo();
+      } else {
+        this._undo();
+      }
+      this._sendStateUpdate();
+    });
+  }
+
+  /**
+   * Remembers the scene state at the start of a user drag
+   * @param {string} label - History label for the drag (e.g., "keyLightDrag")
+   */
+  _beginUserEdit(label) {
+    this.pendingUserEdit = {
+      snapshot: this.sceneManager.captureSnapshot(),
+      label,
+      changed: false
+    };
+  }
+
+  /**
+   * Flags the current user drag as having modified the scene
+   */
+  _markUserEditChanged() {
+    if (this.pendingUserEdit) {
+      this.pendingUserEdit.changed = true;
+    }
+  }
+
+  /**
+   * Records the current user drag in the undo history (if it changed anything)
+   */
+  _commitUserEdit() {
+    if (this.pendingUserEdit && this.pendingUserEdit.changed) {
+      this.history.record(this.pendingUserEdit.snapshot, this.pendingUserEdit.label);
+    }
+    this.pendingUserEdit = null;
+  }
+
+  /**
+   * Restores the scene to the state before the last change
+   * @returns {{undone: string, history: Object}} Label of the undone change and the remaining history
+   * @throws {CommandError} HISTORY_EMPTY when there is nothing to undo
+   */
+  _undo() {
+    const entry = this.history.undo(this.sceneManager.captureSnapshot());
+    if (!entry) {
+      throw new CommandError(CommandError.HISTORY_EMPTY, 'Nothing to undo');
+    }
+    this.sceneManager.restoreSnapshot(entry.snapshot);
+    return { undone: entry.label, history: this.history.getHistory() };
+  }
+
+  /**
+   * Re-applies the last undone change
+   * @returns {{redone: string, history: Object}} Label of the redone change and the remaining history
+   * @throws {CommandError} HISTORY_EMPTY when there is nothing to redo
+   */
+  _redo() {
+    const entry = this.history.redo(this.sceneManager.captureSnapshot());
+    if (!entry) {
+      throw new CommandError(CommandError.HISTORY_EMPTY, 'Nothing to redo');
+    }
+    this.sceneManager.restoreSnapshot(entry.snapshot);
+    return { redone: entry.label, history: this.history.getHistory() };
+  }
+
+  /**
+   * Accepts model files (or folders with textures) dropped onto the canvas
+   */
+  _setupModelDrop() {
+    this.modelDropZone = new ModelDropZone(this.canvas, {
+      // Drops change the scene like commands do, so they wait for the commands in flight
+      onDropModel: drop => this._enqueue('dropped model', () => this._loadDroppedModel(drop)),
+      onDropTextures: textures => this._enqueue('dropped textures', () => this._applyDroppedTextures(textures))
+    });
+  }
+
+  /**
+   * Replaces the model with a dropped file and announces it to the server
+   * Dropped models keep their own hierarchy and materials, so exports look as authored.
+   * @param {Object} drop - Dropped model from ModelDropZone ({url, name, mimeType, manager})
+   */
+  async _loadDroppedModel({ url, name, mimeType, manager }) {
+    let result;
+    try {
+      result = await this.sceneManager.loadModel(url, {
+        name,
+        mimeType,
+        manager,
+        local: true,
+        preserveHierarchy: true,
+        // Exports come in any unit (millimetres, metres, ...), beyond what the camera range can fit
+        normalizeSize: CONFIG.MODEL.NORMALIZED_SIZE
+      });
+    } catch (error) {
+      window.alert(`Could not load ${name}: ${(error && error.message) || error}`);
+      return;
+    }
+
+    this._showNotification(`Loaded ${result.name}`);
+    this._sendStateUpdate();
+    if (this.wsClient) {
+      const { id, name: modelName, format, stats, bounds } = result;
+      this.wsClient.sendEvent('modelLoaded', { source: 'drop', id, name: modelName, format, stats, bounds });
+    }
+  }
+
+  /**
+   * Applies dropped images to the model's texture slots and announces them to the server
+   * @param {Array<{url: string, name: string, slot: string}>} textures - Dropped images with their guessed slot
+   */
+  async _applyDroppedTextures(textures) {
+    const applied = [];
+    for (const { url, name, slot } of textures) {
+      try {
+        await this.sceneManager.loadModelTexture(slot, url, { name });
+        applied.push({ name, slot });
+      } catch (error) {
+        window.alert(`Could not load ${name}: ${(error && error.message) || error}`);
+      }
+    }
+    if (applied.length === 0) {
+      return;
+    }
+
+    this._showNotification(applied.map(({ name, slot }) => `${name} → ${slot}`).join(', '));
+    if (this.wsClient) {
+      this.wsClient.sendEvent('texturesApplied', { source: 'drop', textures: applied });
+    }
+  }
+
+  /**
+   * Wires the overlay toolbar actions
+   */
+  _setupToolbar() {
+    this.toolbar = new SceneToolbar({
+      onExportState: () => {
+        return this.getSceneState();
+      },
+      onImportState: (state) => {
+        this._executeViewerCommand({ type: 'setSceneState', state });
+      },
+      onSavePreset: (name) => {
+        this._executeViewerCommand({ type: 'saveScenePreset', name });
+      },
+      onLoadPreset: (name) => {
+        this._executeViewerCommand({ type: 'loadScenePreset', name });
+      },
+      onDeletePreset: (name) => {
+        this._executeViewerCommand({ type: 'deleteScenePreset', name });
+      },
+      onCopyLink: () => {
+        return this.getShareableLink();
+      },
+      onLinkCopied: () => {
+        this._showNotification('Link copied');
+      },
+      onMeasurementModeChange: (mode) => {
+        this._executeViewerCommand({ type: 'setMeasurementMode', mode });
+      }
+    });
+    this._refreshPresetPicker();
+  }
+
+  /**
+   * Updates the toolbar preset picker with the saved presets
+   */
+  _refreshPresetPicker() {
+    if (this.toolbar) {
+      this.toolbar.setPresets(this.presetStore.list());
+    }
+  }
+
   _handleTouchStart(e) {
     if (e.touches.length === 2) {
       // Two-finger touch - prepare for pinch zoom
@@ -490,6 +1215,7 @@ export class Application {
       const x = touch.clientX - rect.left;
       const y = touch.clientY - rect.top;
       this.rotationController.updateDrag({ x, y });
+      this._markUserEditChanged();
     }
   }
 
@@ -509,7 +1235,7 @@ export class Application {
     
     this.wsClient = new WebSocketClient(
       (command) => {
-        this._handleWebSocketCommand(command);
+        this._enqueueCommand(command);
       },
       (connected) => {
         this._updateConnectionStatus(connected);
@@ -518,6 +1244,10 @@ export class Application {
       (forceRefresh) => {
         // State query callback - return current scene state
         return this.getSceneState();
+      },
+      () => {
+        // Capabilities callback - manifest of every registered command
+        return buildCommandManifest(this.commandHandlers.keys());
       }
     );
     this.wsClient.connect();
@@ -545,21 +1275,363 @@ export class Application {
     }
   }
 
-  _handleWebSocketCommand(command) {
+  /**
+   * Validates and executes an inbound command, then reports the outcome back to the server:
+   * getter commands that carry a requestId are answered with a queryResponse,
+   * and commands that carry a commandId are acknowledged with a commandResult
+   * @param {Object} command - Command message received from the server
+   * @returns {Promise<{status: string, result?: *, error?: Object}>} Command outcome
+   */
+  async _handleWebSocketCommand(command) {
+    const handler = this.commandHandlers.get(command.type);
+    if (!handler) {
+      console.warn('Unknown command type:', command.type);
+      const error = new CommandError(
+        CommandError.UNKNOWN_COMMAND,
+        `Unknown command type: ${command.type}`
+      );
+      this._sendCommandOutcome(command, null, error);
+      return { status: 'error', error: CommandError.toStructured(error) };
+    }
+    
+    // Remember the pre-command state so the change can be undone
+    const snapshotBefore = this._recordsHistory(command.type) ? this.sceneManager.captureSnapshot() : null;
+    
+    let result;
+    try {
+      result = await handler(this._validateCommand(command));
+    } catch (error) {
+      console.error(`Error executing command ${command.type}:`, error);
+      this._sendCommandOutcome(command, null, error);
+      return { status: 'error', error: CommandError.toStructured(error) };
+    }
+    
+    if (snapshotBefore) {
+      this.history.record(snapshotBefore, command.type);
+    }
+    
+    this._sendCommandOutcome(command, result);
+    
     // Skip state updates for getter commands and toolCall notifications
-    const isGetterCommand = command.type.startsWith('get');
+    const isGetterCommand = this._isGetterCommand(command.type);
     const isToolCallNotification = command.type === 'toolCall';
     
-    const handler = this.commandHandlers.get(command.type);
-    if (handler) {
-      handler(command);
-      
-      // Send state update after executing state-modifying commands
-      if (!isGetterCommand && !isToolCallNotification) {
-        this._sendStateUpdate();
+    // Send state update after executing state-modifying commands
+    if (!isGetterCommand && !isToolCallNotification) {
+      this._sendStateUpdate();
+    }
+    
+    return { status: 'success', result };
+  }
+
+  /**
+   * Queues a command behind those still running
+   * Handlers may await (model loads, batches), and a command that ran in between would
+   * interleave with their undo snapshots or be reverted by a batch rollback.
+   * @param {Object} command - Command ({type, ...params})
+   * @returns {Promise<{status: string, result?: *, error?: Object}>} Command outcome
+   */
+  _enqueueCommand(command) {
+    return this._enqueue(command.type, () => this._handleWebSocketCommand(command));
+  }
+
+  /**
+   * Queues any scene change behind the commands still running (see _enqueueCommand)
+   * Used for viewer actions that do not go through a command, such as dropped files and keyboard undo.
+   * @param {string} label - Name of the change, for error logs
+   * @param {Function} task - Changes the scene; may return a promise
+   * @returns {Promise<*>} Value returned by the task
+   */
+  _enqueue(label, task) {
+    const outcome = this.commandQueue.then(task);
+    // Keep the queue going if a change throws
+    this.commandQueue = outcome.catch((error) => {
+      console.error(`Error handling ${label}:`, error);
+    });
+    return outcome;
+  }
+
+  /**
+   * Runs a command that originates from the viewer UI
+   * Goes through the same queue, validation, history and state push as server commands;
+   * failures are shown to the user
+   * @param {Object} command - Command ({type, ...params})
+   * @returns {Promise<{status: string, result?: *, error?: Object}>} Command outcome
+   */
+  async _executeViewerCommand(command) {
+    const outcome = await this._enqueueCommand(command);
+    if (outcome.status === 'error') {
+      window.alert(outcome.error.message);
+    }
+    return outcome;
+  }
+
+  /**
+   * Sets surface properties on the model material and reports the resulting material
+   * @param {Object} properties - Material properties to change
+   * @param {string} part - Optional model part name
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {{material: Object}} Resulting material properties (of the part, if given)
+   * @throws {CommandError} NOT_FOUND when the part does not exist
+   */
+  _setModelMaterial(properties, part, objectId) {
+    if (!this.sceneManager.setModelMaterial(properties, part, objectId)) {
+      throw this._partNotFoundError(part, objectId);
+    }
+    return { material: this.sceneManager.getModelMaterial(part, objectId) };
+  }
+
+  /**
+   * Creates the error for a model part name that does not exist
+   * @param {string} part - Requested part name
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {CommandError} NOT_FOUND error listing the available parts
+   */
+  _partNotFoundError(part, objectId) {
+    return new CommandError(
+      CommandError.NOT_FOUND,
+      `Model has no part named "${part}"`,
+      { part, parts: this.sceneManager.getModelPartNames(objectId) }
+    );
+  }
+
+  /**
+   * Builds the error for an unknown annotation ID
+   * @param {string} id - Annotation ID from the command
+   * @returns {CommandError} NOT_FOUND listing the annotation IDs
+   */
+  _annotationNotFoundError(id) {
+    return new CommandError(
+      CommandError.NOT_FOUND,
+      `No annotation with ID "${id}"`,
+      { id, annotations: this.sceneManager.listAnnotations().map(annotation => annotation.id) }
+    );
+  }
+
+  /**
+   * Builds the error for an unknown clipping plane ID
+   * @param {string} id - Plane ID from the command
+   * @returns {CommandError} NOT_FOUND listing the plane IDs
+   */
+  _clippingPlaneNotFoundError(id) {
+    return new CommandError(
+      CommandError.NOT_FOUND,
+      `No clipping plane with ID "${id}"`,
+      { id, planes: this.sceneManager.listClippingPlanes().map(plane => plane.id) }
+    );
+  }
+
+  /**
+   * Gets the animation controller of a model that has clips to play
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {AnimationController} Animation controller
+   * @throws {CommandError} NOT_FOUND when the model has no animation clips
+   */
+  _getClipAnimation(objectId) {
+    const animation = this.sceneManager.getModelAnimation(objectId);
+    if (!animation.hasClips()) {
+      throw new CommandError(CommandError.NOT_FOUND, 'Model has no animation clips', { clips: [] });
+    }
+    return animation;
+  }
+
+  /**
+   * Builds the error for an unknown animation clip name
+   * @param {string} clip - Clip name from the command
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {CommandError} NOT_FOUND listing the model's clip names
+   */
+  _animationClipNotFoundError(clip, objectId) {
+    return new CommandError(
+      CommandError.NOT_FOUND,
+      `Model has no animation clip named "${clip}"`,
+      { clip, clips: this.sceneManager.getModelAnimation(objectId).listClips().map(({ name }) => name) }
+    );
+  }
+
+  /**
+   * Checks that a command's target object exists
+   * @param {string} objectId - Object ID from the command (undefined targets the selected object)
+   * @throws {CommandError} NOT_FOUND listing the object IDs in the scene
+   */
+  _assertObjectExists(objectId) {
+    if (objectId !== undefined && !this.sceneManager.hasObject(objectId)) {
+      throw new CommandError(
+        CommandError.NOT_FOUND,
+        `No object with ID "${objectId}"`,
+        { objectId, objects: this.sceneManager.listObjects().map(({ id }) => id) }
+      );
+    }
+  }
+
+  /**
+   * Runs an ordered list of sub-commands all-or-nothing
+   * Every step is validated before anything executes, and if a step throws the scene
+   * is rolled back to its pre-batch snapshot. Sub-commands do not push state updates;
+   * the batch itself produces a single one.
+   * @param {Array<Object>} commands - Sub-commands ({type, ...params})
+   * @returns {Promise<{steps: Array<Object>}>} Per-step results
+   * @throws {CommandError} BATCH_FAILED with per-step results in details
+   */
+  async _executeBatch(commands) {
+    const steps = commands.map((command, index) => ({
+      index,
+      type: command ? command.type : undefined,
+      status: 'pending'
+    }));
+    
+    const markPending = (status) => {
+      steps.forEach(step => {
+        if (step.status === 'pending') {
+          step.status = status;
+        }
+      });
+    };
+    
+    // Validate every step up front so bad input never half-applies the batch
+    const validatedCommands = [];
+    let validationFailed = false;
+    commands.forEach((command, index) => {
+      try {
+        validatedCommands.push(this._prepareBatchStep(command));
+      } catch (error) {
+        steps[index].status = 'error';
+        steps[index].error = CommandError.toStructured(error);
+        validationFailed = true;
+      }
+    });
+    
+    if (validationFailed) {
+      markPending('skipped');
+      throw new CommandError(
+        CommandError.BATCH_FAILED,
+        'Batch rejected: one or more steps failed validation',
+        { steps }
+      );
+    }
+    
+    const snapshot = this.sceneManager.captureSnapshot();
+    
+    for (let index = 0; index < validatedCommands.length; index++) {
+      const command = validatedCommands[index];
+      try {
+        const result = await this.commandHandlers.get(command.type)(command);
+        steps[index].status = 'success';
+        steps[index].result = result === undefined ? null : result;
+      } catch (error) {
+        this.sceneManager.restoreSnapshot(snapshot);
+        
+        steps[index].status = 'error';
+        steps[index].error = CommandError.toStructured(error);
+        steps.forEach(step => {
+          if (step.status === 'success') {
+            step.status = 'rolledBack';
+          }
+        });
+        markPending('skipped');
+        
+        throw new CommandError(
+          CommandError.BATCH_FAILED,
+          `Batch step ${index} (${command.type}) failed; scene rolled back`,
+          { failedStep: index, steps }
+        );
+      }
+    }
+    
+    return { steps };
+  }
+
+  /**
+   * Checks and validates a single batch step
+   * @param {Object} command - Sub-command
+   * @returns {Object} Validated sub-command
+   * @throws {CommandError} When the step is malformed, unknown, nested, cannot be rolled back or has bad parameters
+   */
+  _prepareBatchStep(command) {
+    if (!command || typeof command !== 'object' || typeof command.type !== 'string') {
+      throw new CommandError(CommandError.INVALID_PARAMS, 'Batch steps must be objects with a "type"');
+    }
+    if (command.type === 'batch') {
+      throw new CommandError(CommandError.INVALID_PARAMS, 'Batches cannot be nested');
+    }
+    if (!this.commandHandlers.has(command.type)) {
+      throw new CommandError(CommandError.UNKNOWN_COMMAND, `Unknown command type: ${command.type}`);
+    }
+    // A failed batch restores the scene snapshot, so only commands the snapshot covers (the undoable
+    // ones) and read-only ones can run: not undo/redo, model loads, object changes, textures, ...
+    if (!this._isGetterCommand(command.type) && !this._recordsHistory(command.type)) {
+      throw new CommandError(
+        CommandError.INVALID_PARAMS,
+        `${command.type} cannot run inside a batch because a failed batch could not roll it back`
+      );
+    }
+    return this._validateCommand(command);
+  }
+
+  /**
+   * Validates a command against its schema before it reaches the scene
+   * @param {Object} command - Command message received from the server
+   * @returns {Object} Command with coerced, clamped and defaulted parameters
+   * @throws {CommandError} INVALID_PARAMS when the command carries bad input
+   */
+  _validateCommand(command) {
+    const schema = COMMAND_SCHEMAS.get(command.type);
+    return schema ? validateCommand(command, schema) : command;
+  }
+
+  /**
+   * Checks whether a command type only reads scene state
+   * @param {string} type - Command type
+   * @returns {boolean} True for getter commands (get* or schemas marked as query)
+   */
+  _isGetterCommand(type) {
+    if (typeof type !== 'string') {
+      return false;
+    }
+    const schema = COMMAND_SCHEMAS.get(type);
+    return type.startsWith('get') || Boolean(schema && schema.query);
+  }
+
+  /**
+   * Checks whether a command changes the scene and belongs in the undo history
+   * @param {string} type - Command type
+   * @returns {boolean} True for state-modifying commands
+   */
+  _recordsHistory(type) {
+    const schema = COMMAND_SCHEMAS.get(type);
+    return !this._isGetterCommand(type) && !(schema && schema.recordsHistory === false);
+  }
+
+  /**
+   * Reports a command outcome back to the server
+   * Getter commands with a requestId get a typed queryResponse/queryError;
+   * any command with a commandId gets a commandResult
+   * @param {Object} command - The command being answered
+   * @param {*} result - Values produced by the handler (on success)
+   * @param {*} error - The thrown error (on failure)
+   */
+  _sendCommandOutcome(command, result, error = null) {
+    if (!this.wsClient) {
+      return;
+    }
+    
+    const value = result === undefined ? null : result;
+    const structuredError = error ? CommandError.toStructured(error) : null;
+    
+    if (command.requestId && this._isGetterCommand(command.type)) {
+      if (structuredError) {
+        this.wsClient.sendQueryError(command.requestId, command.type, structuredError);
+      } else {
+        this.wsClient.sendQueryResponse(command.requestId, command.type, value);
+      }
+    }
+    
+    if (command.commandId) {
+      if (structuredError) {
+        this.wsClient.sendCommandResult(command.commandId, command.type, 'error', null, structuredError);
+      } else {
+        this.wsClient.sendCommandResult(command.commandId, command.type, 'success', value);
       }
-    } else {
-      console.warn('Unknown command type:', command.type);
     }
   }
 
@@ -570,6 +1642,14 @@ export class Application {
       .map(word => word.charAt(0).toUpperCase() + word.slice(1))
       .join(' ');
     
+    this._showNotification(formattedName);
+  }
+
+  /**
+   * Briefly shows a message in the notification badge
+   * @param {string} text - Message to show
+   */
+  _showNotification(text) {
     const notificationElement = document.getElementById('tool-notification');
     const labelElement = notificationElement.querySelector('.tool-notification-label');
     
@@ -579,7 +1659,7 @@ export class Application {
       this._toolNotificationTimeout = null;
     }
     
-    labelElement.textContent = formattedName;
+    labelElement.textContent = text;
     
     // Show notification with animation
     notificationElement.classList.remove('hidden');
@@ -593,10 +1673,142 @@ export class Application {
     }, 3000);
   }
 
+  /**
+   * Picks the model surface under a screen position and reports it to the server as a userPick event
+   * @param {number} clientX - Pointer X in viewport coordinates
+   * @param {number} clientY - Pointer Y in viewport coordinates
+   * @returns {Object|null} The pick (see getLastPick), or null if no model is under the pointer
+   */
+  _pickSurface(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.rayPicker.updateMousePosition(clientX - rect.left, clientY - rect.top, rect.width, rect.height);
+    const hit = this.rayPicker.pickSurface(
+      this.cameraController.getCamera(),
+      this.sceneManager.getObjectRoots(),
+      this.sceneManager.getActiveClippingPlanes()
+    );
+    if (!hit) {
+      return null;
+    }
+
+    const { object, ...surface } = hit;
+    this.lastPick = { ...this.sceneManager.findObjectOfNode(object), ...surface };
+    if (this.wsClient) {
+      this.wsClient.sendEvent('userPick', this.lastPick);
+    }
+    return this.lastPick;
+  }
+
+  /**
+   * Asks for a label and pins it to a picked surface point, reporting it as an annotationAdded event
+   * @param {Object} pick - Pick from _pickSurface()
+   */
+  async _annotatePick(pick) {
+    const text = window.prompt('Annotation text');
+    if (!text || text.trim() === '') {
+      return;
+    }
+
+    const outcome = await this._executeViewerCommand({
+      type: 'addAnnotation',
+      text: text.trim(),
+      point: pick.point,
+      normal: pick.normal,
+      objectId: pick.objectId
+    });
+    if (outcome.status === 'success' && this.wsClient) {
+      this.wsClient.sendEvent('annotationAdded', outcome.result);
+    }
+  }
+
+  /**
+   * Starts sweeping the most recently added clipping plane along its normal
+   * @param {number} clientY - Pointer Y in viewport coordinates
+   * @returns {boolean} False if there is no clipping plane to drag
+   */
+  _beginClippingDrag(clientY) {
+    const plane = this.sceneManager.listClippingPlanes().pop();
+    if (!plane) {
+      return false;
+    }
+    this.clippingDrag = { id: plane.id, startY: clientY, startOffset: plane.offset };
+    this._beginUserEdit('clippingPlaneDrag');
+    return true;
+  }
+
+  /**
+   * Moves the dragged clipping plane (dragging up moves it along its normal)
+   * @param {number} clientY - Pointer Y in viewport coordinates
+   */
+  _updateClippingDrag(clientY) {
+    const { id, startY, startOffset } = this.clippingDrag;
+    const limit = CONFIG.CLIPPING.MAX_OFFSET;
+    const offset = startOffset + (startY - clientY) * CONFIG.CLIPPING.DRAG_SENSITIVITY;
+    this.sceneManager.updateClippingPlane(id, { offset: Math.max(-limit, Math.min(limit, offset)) });
+    this._markUserEditChanged();
+  }
+
+  /**
+   * Finishes a clipping plane drag, recording it in the history and reporting the new state
+   */
+  _endClippingDrag() {
+    const changed = this.pendingUserEdit && this.pendingUserEdit.changed;
+    this.clippingDrag = null;
+    this._commitUserEdit();
+    if (changed) {
+      this._sendStateUpdate();
+    }
+  }
+
+  /**
+   * Adds a picked point to the measurement being built, completing it once it has enough points
+   * (areas are completed with Enter)
+   * @param {Object} pick - Pick from _pickSurface()
+   */
+  _addMeasurementPoint(pick) {
+    const count = this.sceneManager.addPendingMeasurementPoint(pick.point, pick.objectId);
+    if (this.measurementMode !== 'area' && count >= MeasurementManager.getPointCount(this.measurementMode)) {
+      this._completeMeasurement();
+    }
+  }
+
+  /**
+   * Turns the picked points into a measurement and reports it as a measurementAdded event
+   */
+  _completeMeasurement() {
+    const measurement = this.sceneManager.completeMeasurement(this.measurementMode);
+    if (measurement && this.wsClient) {
+      this.wsClient.sendEvent('measurementAdded', measurement);
+    }
+  }
+
+  /**
+   * Switches between measuring by clicks and rotating the model
+   * Points picked for an unfinished measurement are discarded.
+   * @param {string} mode - Measurement to pick ("distance", "angle" or "area"), or "off"
+   */
+  setMeasurementMode(mode) {
+    this.measurementMode = mode;
+    this.sceneManager.cancelMeasurement();
+    this.rotationController.stopDrag();
+    if (this.currentHoveredAreaLight) {
+      this.currentHoveredAreaLight.setHighlighted(false);
+      this.currentHoveredAreaLight = null;
+    }
+    const modes = this.interactionModeManager;
+    modes.setMode(mode === 'off' ? modes.MODEL_ROTATION : modes.MEASUREMENT);
+    this.canvas.classList.toggle('measuring', mode !== 'off');
+    this.toolbar.setMeasurementMode(mode);
+  }
+
   /**
    * Updates area light hover state based on ray picking
+   * Lights are not manipulated while measuring.
    */
   _updateAreaLightHover() {
+    if (this.interactionModeManager.isMeasurementMode()) {
+      return;
+    }
     const camera = this.cameraController.getCamera();
     const helpers = this.sceneManager.getAreaLightHelpers();
     
@@ -628,25 +1840,35 @@ export class Application {
     }
   }
 
+  /**
+   * Starts the render loop, advancing the model animations by the time between frames
+   */
   _startAnimation() {
-    const animate = () => {
+    let previousTime = null;
+    const animate = (time) => {
       requestAnimationFrame(animate);
+      // Frames are capped so a hidden tab does not jump the animation forward when it comes back
+      const delta = previousTime === null ? 0 : Math.min((time - previousTime) / 1000, CONFIG.ANIMATION.MAX_FRAME_DELTA);
+      previousTime = time;
+      this.sceneManager.updateAnimations(delta);
       this.sceneManager.render(this.cameraController.getCamera());
     };
-    animate();
+    requestAnimationFrame(animate);
   }
 
   /**
    * Gets the complete scene state for bidirectional communication
+   * The model entry describes the selected object and objects describes every object,
+   * keyed by ID, so presets keep all of them.
    * @returns {Object} Complete scene state object
    */
   getSceneState() {
+    const objects = this.sceneManager.listObjects().map(({ id }) => [id, this._getObjectState(id)]);
     return {
-      model: {
-        color: this.sceneManager.getModelColor(),
-        scale: this.sceneManager.getModelScale(),
-        rotation: this.sceneManager.getModelRotation()
-      },
+      model: this._getObjectState(),
+      objects: Object.fromEntries(objects),
+      annotations: this.sceneManager.listAnnotations(),
+      clipping: this.sceneManager.listClippingPlanes(),
       background: this.sceneManager.getBackgroundColor(),
       keyLight: {
         intensity: this.sceneManager.getKeyLightIntensity(),
@@ -667,6 +1889,163 @@ export class Application {
     };
   }
 
+  /**
+   * Applies a full or partial scene state (the shape produced by getSceneState())
+   * Omitted fields keep their current values. Values are expected to be validated
+   * (see SCENE_STATE_PROPERTIES); setSceneState commands are validated on receipt.
+   * @param {Object} state - Scene state to apply
+   */
+  setSceneState(state) {
+    const { model, objects, annotations, clipping, background, keyLight, fillLight, camera } = state;
+    
+    if (objects) {
+      // States saved in another session may name objects that are not in this scene
+      Object.entries(objects)
+        .filter(([id]) => this.sceneManager.hasObject(id))
+        .forEach(([id, objectState]) => this._applyObjectState(objectState, id));
+    }
+    
+    // The selected object's entry is applied last, so it wins over its entry in objects
+    if (model) {
+      this._applyObjectState(model);
+    }
+    
+    if (annotations) {
+      this.sceneManager.setAnnotations(annotations);
+    }
+    
+    if (clipping) {
+      this.sceneManager.setClippingPlanes(clipping);
+    }
+    
+    if (background !== undefined) {
+      this.sceneManager.changeBackgroundColor(background);
+    }
+    
+    if (keyLight) {
+      this._applyLightState('Key', keyLight);
+    }
+    if (fillLight) {
+      this._applyLightState('Fill', fillLight);
+    }
+    
+    if (camera) {
+      if (camera.distance !== undefined) {
+        this.sceneManager.dollyCamera(camera.distance);
+      }
+      if (camera.fov !== undefined) {
+        this.sceneManager.setCameraFOV(camera.fov);
+      }
+    }
+    
+    this.sceneManager.render(this.cameraController.getCamera());
+  }
+
+  /**
+   * Describes one object for the scene state
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {{color: string, material: Object, scale: Object, rotation: Object, position: Object, animation: Object|null}}
+   *   Object state
+   */
+  _getObjectState(objectId = null) {
+    return {
+      color: this.sceneManager.getModelColor(objectId),
+      material: this.sceneManager.getModelMaterial(null, objectId),
+      scale: this.sceneManager.getModelScale(objectId),
+      rotation: this.sceneManager.getModelRotation(objectId),
+      position: this.sceneManager.getModelPosition(objectId),
+      animation: this.sceneManager.getAnimationState(objectId)
+    };
+  }
+
+  /**
+   * Applies the partial state of one object
+   * @param {Object} objectState - Partial object state {color, material, scale, rotation or quaternion, position, animation}
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   */
+  _applyObjectState(objectState, objectId = null) {
+    const { color, material, scale, rotation, quaternion, position, animation } = objectState;
+    if (color !== undefined) {
+      this.sceneManager.changeModelColor(color, null, objectId);
+    }
+    if (material) {
+      this.sceneManager.setModelMaterial(material, null, objectId);
+    }
+    if (scale) {
+      const merged = { ...this.sceneManager.getModelScale(objectId), ...scale };
+      this.sceneManager.scaleModel(merged.x, merged.y, merged.z, objectId);
+    }
+    if (quaternion) {
+      this.sceneManager.setModelQuaternion(quaternion, objectId);
+    } else if (rotation) {
+      const merged = { ...this.sceneManager.getModelRotation(objectId), ...rotation };
+      this.sceneManager.setModelRotation(merged.x, merged.y, merged.z, objectId);
+    }
+    if (position) {
+      const merged = { ...this.sceneManager.getModelPosition(objectId), ...position };
+      this.sceneManager.setModelPosition(merged.x, merged.y, merged.z, objectId);
+    }
+    if (animation) {
+      // States saved with another model may name clips this one does not have
+      this.sceneManager.getModelAnimation(objectId).setState(animation);
+    }
+  }
+
+  /**
+   * Applies the partial state of one area light
+   * @param {string} name - Light name used in SceneManager methods ("Key" or "Fill")
+   * @param {Object} lightState - Partial light state {intensity, color, position, size}
+   */
+  _applyLightState(name, lightState) {
+    const sceneManager = this.sceneManager;
+    
+    if (lightState.intensity !== undefined) {
+      sceneManager[`set${name}LightIntensity`](lightState.intensity);
+    }
+    if (lightState.color !== undefined) {
+      sceneManager[`set${name}LightColor`](lightState.color);
+    }
+    if (lightState.position) {
+      const position = { ...sceneManager[`get${name}LightPositionSpherical`](), ...lightState.position };
+      sceneManager[`set${name}LightPositionSpherical`](position.azimuth, position.elevation);
+      sceneManager[`set${name}LightDistance`](position.distance);
+    }
+    if (lightState.size) {
+      const size = { ...sceneManager[`get${name}LightSize`](), ...lightState.size };
+      sceneManager[`set${name}LightSize`](size.width, size.height);
+    }
+  }
+
+  /**
+   * Builds a URL that reopens the current view (without the session, so it works standalone)
+   * A link reopens a single model (?model=), so it carries the selected object only.
+   * @returns {string} Shareable URL with the scene encoded in its hash
+   */
+  getShareableLink() {
+    const encoded = encodeSceneLink(this.getSceneState(), this.sceneManager.getModelQuaternion());
+    return buildSceneLinkUrl(window.location.href, encoded, this.sceneManager.getModelUrl());
+  }
+
+  /**
+   * Applies the scene encoded in the URL hash (shareable link), if any
+   * @returns {boolean} True if a scene was applied
+   */
+  _applySceneLinkFromHash() {
+    const encoded = getSceneLinkFromHash(window.location.hash);
+    if (!encoded) {
+      return false;
+    }
+    
+    try {
+      const state = validateParams(decodeSceneLink(encoded), SCENE_STATE_PROPERTIES, 'link');
+      this.setSceneState(state);
+      return true;
+    } catch (error) {
+      console.warn('Ignoring invalid scene link:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Sends state update to server (push update after command execution)
    */
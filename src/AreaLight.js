@@ -5,7 +5,8 @@ import { sphericalToCartesian, cartesianToSpherical, directionToAzimuthAngle } f
 /**
  * Represents an area light (RectAreaLight) for key or fill lighting
  * Handles area light creation and configuration
- * The light rotates around the model origin (0, -0.5, 0) via a parent group
+ * The light rotates around a pivot via a parent group: the model origin (0, -0.5, 0) by default,
+ * moved to the selected model's centre by SceneManager
  * Future rotation will use Euler angles (simpler than quaternions for constrained rotations)
  */
 export class AreaLight {
@@ -171,6 +172,32 @@ export class AreaLight {
     }
   }
 
+  /**
+   * Sets the light's area size, keeping the highlight overlay and picker geometry in sync
+   * @param {number} width - Light width in units
+   * @param {number} height - Light height in units
+   */
+  setSize(width, height) {
+    this.areaLight.width = width;
+    this.areaLight.height = height;
+    this._syncOverlaySize();
+  }
+
+  /**
+   * Scales the highlight overlay and picker geometry (built at the configured size) to the light's size
+   */
+  _syncOverlaySize() {
+    const config = this.type === 'key' ? CONFIG.LIGHTING.KEY_LIGHT : CONFIG.LIGHTING.FILL_LIGHT;
+    const scaleX = this.areaLight.width / config.WIDTH;
+    const scaleY = this.areaLight.height / config.HEIGHT;
+    if (this.highlightOverlay) {
+      this.highlightOverlay.scale.set(scaleX, scaleY, 1);
+    }
+    if (this.pickerGeometry) {
+      this.pickerGeometry.scale.set(scaleX, scaleY, 1);
+    }
+  }
+
   /**
    * Rotates the light around the model origin using Euler angles
    * @param {number} deltaX - Horizontal rotation delta (left/right movement)
@@ -188,15 +215,44 @@ export class AreaLight {
     this.parentGroup.rotation.x += deltaY;
 
     // After rotating the parent, update the light's lookAt to maintain target orientation
+    this.aimAtTarget();
+  }
+
+  /**
+   * Moves the rotation pivot (the parent group) to a new point, e.g., the model's centre
+   * The light keeps its offset from the pivot, so it moves along with the model.
+   * @param {THREE.Vector3} position - New pivot position in world coordinates
+   */
+  setPivot(position) {
+    if (!this.parentGroup || this.parentGroup.position.equals(position)) {
+      return;
+    }
+    this.parentGroup.position.copy(position);
+    this.aimAtTarget();
+  }
+
+  /**
+   * Gets the rotation pivot position
+   * @returns {THREE.Vector3} Pivot position in world coordinates (a copy)
+   */
+  getPivot() {
+    return this.parentGroup ? this.parentGroup.position.clone() : new THREE.Vector3();
+  }
+
+  /**
+   * Points the light at its configured target
+   * The target is configured for the default pivot (CONFIG.MODEL.ORIGIN) and moves with the pivot.
+   */
+  aimAtTarget() {
     const config = this.type === 'key' ? CONFIG.LIGHTING.KEY_LIGHT : CONFIG.LIGHTING.FILL_LIGHT;
     const targetPosition = config.TARGET || { x: 0, y: 0, z: 0 };
-    
-    // Get world position of the light after rotation
-    const worldPosition = new THREE.Vector3();
-    this.areaLight.getWorldPosition(worldPosition);
-    
-    // Update lookAt to point toward target (world coordinates)
-    this.areaLight.lookAt(targetPosition.x, targetPosition.y, targetPosition.z);
+    const origin = CONFIG.MODEL.ORIGIN;
+    const pivot = this.parentGroup.position;
+    this.areaLight.lookAt(
+      targetPosition.x - origin.x + pivot.x,
+      targetPosition.y - origin.y + pivot.y,
+      targetPosition.z - origin.z + pivot.z
+    );
   }
 
   /**
@@ -247,9 +303,7 @@ export class AreaLight {
     this.areaLight.position.copy(newPosition);
     
     // After moving, update the light's lookAt to maintain target orientation
-    const config = this.type === 'key' ? CONFIG.LIGHTING.KEY_LIGHT : CONFIG.LIGHTING.FILL_LIGHT;
-    const targetPosition = config.TARGET || { x: 0, y: 0, z: 0 };
-    this.areaLight.lookAt(targetPosition.x, targetPosition.y, targetPosition.z);
+    this.aimAtTarget();
   }
 
   /**
@@ -261,7 +315,7 @@ export class AreaLight {
    * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
    */
   setPositionSpherical(azimuth, elevation, camera) {
-    if (!this.areaLight || !this.parentGroup || !camera) {
+    if (!this.areaLight || !this.parentGroup || !camera || !Number.isFinite(elevation)) {
       return;
     }
 
@@ -279,9 +333,7 @@ export class AreaLight {
     this.areaLight.position.set(cartesian.x, cartesian.y, cartesian.z);
     
     // Update the light's lookAt to maintain target orientation
-    const config = this.type === 'key' ? CONFIG.LIGHTING.KEY_LIGHT : CONFIG.LIGHTING.FILL_LIGHT;
-    const targetPosition = config.TARGET || { x: 0, y: 0, z: 0 };
-    this.areaLight.lookAt(targetPosition.x, targetPosition.y, targetPosition.z);
+    this.aimAtTarget();
   }
 
   /**
@@ -410,7 +462,7 @@ export class AreaLight {
    * @param {THREE.PerspectiveCamera} camera - The camera (for camera-centric reference frame)
    */
   setDistance(distance, camera) {
-    if (!this.areaLight || !this.parentGroup || !camera) {
+    if (!this.areaLight || !this.parentGroup || !camera || !Number.isFinite(distance)) {
       return;
     }
 
@@ -425,9 +477,7 @@ export class AreaLight {
     this.areaLight.position.set(cartesian.x, cartesian.y, cartesian.z);
     
     // Update the light's lookAt to maintain target orientation
-    const config = this.type === 'key' ? CONFIG.LIGHTING.KEY_LIGHT : CONFIG.LIGHTING.FILL_LIGHT;
-    const targetPosition = config.TARGET || { x: 0, y: 0, z: 0 };
-    this.areaLight.lookAt(targetPosition.x, targetPosition.y, targetPosition.z);
+    this.aimAtTarget();
   }
 
   /**
@@ -445,9 +495,36 @@ export class AreaLight {
     this.areaLight.position.set(x, y, z);
     
     // Update the light's lookAt to maintain target orientation
-    const config = this.type === 'key' ? CONFIG.LIGHTING.KEY_LIGHT : CONFIG.LIGHTING.FILL_LIGHT;
-    const targetPosition = config.TARGET || { x: 0, y: 0, z: 0 };
-    this.areaLight.lookAt(targetPosition.x, targetPosition.y, targetPosition.z);
+    this.aimAtTarget();
   }
-}
 
+  /**
+   * Captures the exact light state (orientation, position, color, intensity, size)
+   * @returns {Object} Opaque snapshot for restoreState()
+   */
+  captureState() {
+    return {
+      groupRotation: this.parentGroup.rotation.clone(),
+      position: this.areaLight.position.clone(),
+      quaternion: this.areaLight.quaternion.clone(),
+      color: this.areaLight.color.getHex(),
+      intensity: this.areaLight.intensity,
+      width: this.areaLight.width,
+      height: this.areaLight.height
+    };
+  }
+
+  /**
+   * Restores a state captured by captureState()
+   * @param {Object} state - Snapshot from captureState()
+   */
+  restoreState(state) {
+    this.parentGroup.rotation.copy(state.groupRotation);
+    this.areaLight.position.copy(state.position);
+    this.areaLight.quaternion.copy(state.quaternion);
+    this.areaLight.color.setHex(state.color);
+    this.areaLight.intensity = state.intensity;
+    this.setSize(state.width, state.height);
+    this.updateHighlightColor();
+  }
+}
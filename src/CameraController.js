@@ -111,6 +111,24 @@ export class CameraController {
     this.camera.position.z = this._clampDistance(distance);
   }
 
+  /**
+   * Sets the camera distance so a bounding sphere fits in view (both vertically and horizontally)
+   * The camera always looks down -Z at the origin, so the sphere's offset from that axis is
+   * added to its radius. The current zoom (FOV) is kept and taken into account.
+   * @param {{x: number, y: number, z: number}} center - Sphere center
+   * @param {number} radius - Sphere radius
+   * @param {number} margin - Distance multiplier (defaults to CONFIG.CAMERA.FIT_MARGIN)
+   * @returns {number} Resulting camera distance (clamped to MIN_DISTANCE - MAX_DISTANCE)
+   */
+  fitToSphere(center, radius, margin = CONFIG.CAMERA.FIT_MARGIN) {
+    const tanHalfHeight = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)) / this.camera.zoom;
+    const tanHalfWidth = tanHalfHeight * this.camera.aspect;
+    const halfAngle = Math.atan(Math.min(tanHalfHeight, tanHalfWidth));
+    const offAxis = Math.hypot(center.x, center.y);
+    this.dollyCamera(center.z + (radius + offAxis) * margin / Math.sin(halfAngle));
+    return this.getCameraDistance();
+  }
+
   /**
    * Moves the camera closer to the origin (dolly in)
    * @param {number} amount - Optional amount to move (defaults to DOLLY_SPEED)
@@ -0,0 +1,390 @@
+import * as THREE from 'three';
+import { CONFIG } from './constants.js';
+
+// Plane normals for the axis shorthand
+const AXES = new Map([
+  ['x', new THREE.Vector3(1, 0, 0)],
+  ['y', new THREE.Vector3(0, 1, 0)],
+  ['z', new THREE.Vector3(0, 0, 1)]
+]);
+
+/**
+ * Manages the clipping planes that cut the models open for cross-section views
+ * A plane passes through its anchor model's centre, shifted by an offset along its normal,
+ * and cuts away the part of every model on the normal side. The normal is given in the
+ * model's local space (the plane turns with the model) or in camera space (the plane turns
+ * with the view; +z points toward the viewer). Cuts can be filled with a solid cap, drawn
+ * with the stencil technique: the back faces of the clipped meshes add to the stencil
+ * buffer and front faces subtract from it, so the cap only shows where the plane is inside
+ * a closed mesh.
+ */
+export class ClippingManager {
+  static AXES = [...AXES.keys()];
+
+  /**
+   * @param {THREE.Scene} scene - Scene the caps are added to (its renderer needs a stencil buffer and
+   *   local clipping enabled)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.planes = new Map(); // id -> {id, objectId, model, axis, normal, offset, relativeTo, cap, capColor, plane}
+    this.nextId = 1;
+    this.activePlanes = []; // World-space planes assigned to the model materials
+    this.capGroup = new THREE.Group();
+    this.scene.add(this.capGroup);
+    this.capMeshes = []; // Meshes the current caps were built for
+    this.capGeometries = []; // Their geometries at the time (models can swap them)
+    this.capsDirty = false;
+  }
+
+  /**
+   * Adds a clipping plane
+   * @param {Object} definition - Plane definition
+   * @param {string} definition.objectId - ID of the anchor object
+   * @param {Model} definition.model - Anchor model (the plane passes through its centre)
+   * @param {string} definition.axis - "x", "y" or "z" (takes precedence over normal)
+   * @param {{x: number, y: number, z: number}} definition.normal - Normal pointing at the part to cut away
+   * @param {number} definition.offset - Distance of the plane from the model centre along the normal
+   * @param {string} definition.relativeTo - "model" or "camera" (space of the normal)
+   * @param {boolean} definition.cap - Fill the cut with a solid cap
+   * @param {string} definition.capColor - Cap color
+   * @param {string} definition.id - ID to reuse (when restoring), or null for a new one
+   * @returns {Object} The plane, as reported by list()
+   */
+  add({ objectId, model, axis = null, normal = null, offset = 0, relativeTo = 'model', cap = false, capColor = CONFIG.CLIPPING.CAP_COLOR, id = null }) {
+    const planeId = id || `plane-${this.nextId++}`;
+    this._reserveId(planeId);
+
+    const record = { id: planeId, objectId, model, axis: null, normal: new THREE.Vector3(), offset, relativeTo, cap, capColor, plane: new THREE.Plane() };
+    this._setNormal(record, axis, normal);
+    this.planes.set(planeId, record);
+    this._refreshActivePlanes();
+    return this._describe(record);
+  }
+
+  /**
+   * Changes a clipping plane (omitted fields are kept)
+   * @param {string} id - Plane ID
+   * @param {Object} changes - Any of axis, normal, offset, relativeTo, cap and capColor
+   * @returns {Object|null} The updated plane, or null if no plane has that ID
+   */
+  update(id, { axis, normal, offset, relativeTo, cap, capColor }) {
+    const record = this.planes.get(id);
+    if (!record) {
+      return null;
+    }
+    if (axis !== undefined || normal !== undefined) {
+      this._setNormal(record, axis, normal);
+    }
+    if (offset !== undefined) {
+      record.offset = offset;
+    }
+    if (relativeTo !== undefined) {
+      record.relativeTo = relativeTo;
+    }
+    if (cap !== undefined || capColor !== undefined) {
+      record.cap = cap !== undefined ? cap : record.cap;
+      record.capColor = capColor !== undefined ? capColor : record.capColor;
+      this.capsDirty = true;
+    }
+    return this._describe(record);
+  }
+
+  /**
+   * Removes a clipping plane
+   * @param {string} id - Plane ID
+   * @returns {boolean} False if no plane has that ID
+   */
+  remove(id) {
+    if (!this.planes.delete(id)) {
+      return false;
+    }
+    this._refreshActivePlanes();
+    return true;
+  }
+
+  /**
+   * Removes every clipping plane, or those anchored to one object
+   * @param {string} objectId - Optional object ID
+   * @returns {number} Number of planes removed
+   */
+  clear(objectId = null) {
+    const ids = [...this.planes.values()]
+      .filter(record => !objectId || record.objectId === objectId)
+      .map(({ id }) => id);
+    ids.forEach(id => this.planes.delete(id));
+    this._refreshActivePlanes();
+    return ids.length;
+  }
+
+  /**
+   * Moves the planes of an object over to its new model (after the object's model was replaced)
+   * @param {string} objectId - Object ID
+   * @param {Model} model - New model
+   */
+  replaceModel(objectId, model) {
+    this.planes.forEach((record) => {
+      if (record.objectId === objectId) {
+        record.model = model;
+      }
+    });
+  }
+
+  /**
+   * Gets one clipping plane
+   * @param {string} id - Plane ID
+   * @returns {Object|null} The plane, or null if no plane has that ID
+   */
+  get(id) {
+    const record = this.planes.get(id);
+    return record ? this._describe(record) : null;
+  }
+
+  /**
+   * Lists the clipping planes
+   * @returns {Array<{id: string, objectId: string, axis: string|null, normal: Object, offset: number,
+   *   relativeTo: string, cap: boolean, capColor: string}>} Planes in the order they were added
+   */
+  list() {
+    return [...this.planes.values()].map(record => this._describe(record));
+  }
+
+  /**
+   * Gets the world-space planes currently cutting the models
+   * @returns {Array<THREE.Plane>} Planes (the kept side is in front of each plane)
+   */
+  getActivePlanes() {
+    return this.activePlanes;
+  }
+
+  /**
+   * Captures the plane definitions
+   * @returns {Array<Object>} Snapshot for restore()
+   */
+  capture() {
+    return this.list();
+  }
+
+  /**
+   * Replaces the planes with a snapshot from capture()
+   * @param {Array<Object>} snapshot - Snapshot from capture()
+   * @param {Function} getModel - Maps an object ID to its model, or null if the object is gone
+   */
+  restore(snapshot, getModel) {
+    this.planes.clear();
+    snapshot.forEach(({ objectId, ...definition }) => {
+      const model = getModel(objectId);
+      if (model) {
+        this.add({ ...definition, objectId, model });
+      }
+    });
+    this._refreshActivePlanes();
+  }
+
+  /**
+   * Moves the planes to follow their models and the camera, applies them to the model
+   * materials and keeps the caps in step (called before every frame)
+   * @param {THREE.Camera} camera - Camera the scene is rendered with
+   * @param {Array<THREE.Object3D>} roots - Root objects of the models to clip
+   */
+  updatePlanes(camera, roots) {
+    this.planes.forEach((record) => {
+      const object = record.model.getObject();
+      object.updateMatrixWorld();
+      const direction = record.normal.clone();
+      if (record.relativeTo === 'camera') {
+        direction.transformDirection(camera.matrixWorld);
+      } else {
+        direction.applyMatrix3(new THREE.Matrix3().getNormalMatrix(object.matrixWorld)).normalize();
+      }
+      const point = record.model.getCenter().addScaledVector(direction, record.offset);
+      // three.js keeps the side the plane normal points to, so the cut-away side is behind it
+      record.plane.setFromNormalAndCoplanarPoint(direction.negate(), point);
+    });
+
+    const meshes = [];
+    roots.forEach(root => root.traverse((child) => {
+      if (child.isMesh) {
+        meshes.push(child);
+      }
+    }));
+    meshes.forEach((mesh) => {
+      const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+      materials.forEach((material) => {
+        material.clippingPlanes = this.activePlanes.length > 0 ? this.activePlanes : null;
+      });
+    });
+
+    this._updateCaps(meshes, roots);
+  }
+
+  /**
+   * Rebuilds the active plane list after planes were added or removed
+   */
+  _refreshActivePlanes() {
+    // A new array so materials pick up the changed plane count
+    this.activePlanes = [...this.planes.values()].map(({ plane }) => plane);
+    this.capsDirty = true;
+  }
+
+  /**
+   * Sets the local normal of a plane from an axis name or a vector
+   * @param {Object} record - Internal plane
+   * @param {string|null} axis - Axis name, or null to use the normal
+   * @param {{x: number, y: number, z: number}|null} normal - Normal vector
+   */
+  _setNormal(record, axis, normal) {
+    if (axis) {
+      record.axis = axis;
+      record.normal.copy(AXES.get(axis));
+      return;
+    }
+    record.axis = null;
+    record.normal.set(normal.x, normal.y, normal.z);
+    if (record.normal.lengthSq() < 1e-12) {
+      record.normal.set(0, 0, 1);
+    }
+    record.normal.normalize();
+  }
+
+  /**
+   * Rebuilds the caps when the planes or the clipped meshes change, and moves them into place
+   * @param {Array<THREE.Mesh>} meshes - Clipped meshes
+   * @param {Array<THREE.Object3D>} roots - Root objects of the models
+   */
+  _updateCaps(meshes, roots) {
+    const meshesChanged = meshes.length !== this.capMeshes.length ||
+      meshes.some((mesh, index) => mesh !== this.capMeshes[index] || mesh.geometry !== this.capGeometries[index]);
+    if (this.capsDirty || meshesChanged) {
+      this._buildCaps(meshes);
+    }
+
+    // Caps are squares centred on the models, large enough to cover their cross-section
+    const bounds = new THREE.Box3();
+    roots.forEach(root => bounds.expandByObject(root));
+    const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+    this.capGroup.children.forEach((child) => {
+      if (child.userData.stencilSource) {
+        // Stencil meshes copy the world transform of the mesh they shadow
+        child.matrix.copy(child.userData.stencilSource.matrixWorld);
+        child.matrixWorldNeedsUpdate = true;
+        return;
+      }
+      const plane = child.userData.capPlane;
+      plane.projectPoint(sphere.center, child.position);
+      child.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), plane.normal);
+      child.scale.setScalar(Math.max(sphere.radius, 1) * 2.5);
+    });
+  }
+
+  /**
+   * Creates the stencil meshes and cap of every capped plane
+   * @param {Array<THREE.Mesh>} meshes - Clipped meshes
+   */
+  _buildCaps(meshes) {
+    this._disposeCaps();
+    this.capMeshes = meshes;
+    this.capGeometries = meshes.map(mesh => mesh.geometry);
+
+    [...this.planes.values()].forEach((record, index) => {
+      if (!record.cap) {
+        return;
+      }
+      // Each capped plane draws its stencil passes and cap before the next one clears the stencil
+      const renderOrder = index + 1;
+      const backFaces = this._createStencilMaterial(record.plane, THREE.BackSide, THREE.IncrementWrapStencilOp);
+      const frontFaces = this._createStencilMaterial(record.plane, THREE.FrontSide, THREE.DecrementWrapStencilOp);
+      meshes.forEach((mesh) => {
+        [backFaces, frontFaces].forEach((material) => {
+          const stencil = new THREE.Mesh(mesh.geometry, material);
+          stencil.matrixAutoUpdate = false;
+          stencil.renderOrder = renderOrder;
+          stencil.userData.stencilSource = mesh;
+          this.capGroup.add(stencil);
+        });
+      });
+
+      const cap = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, 1),
+        new THREE.MeshStandardMaterial({
+          color: record.capColor,
+          metalness: 0.1,
+          roughness: 0.75,
+          side: THREE.DoubleSide,
+          // Other planes still cut the cap
+          clippingPlanes: this.activePlanes.filter(plane => plane !== record.plane),
+          stencilWrite: true,
+          stencilRef: 0,
+          stencilFunc: THREE.NotEqualStencilFunc,
+          stencilFail: THREE.ReplaceStencilOp,
+          stencilZFail: THREE.ReplaceStencilOp,
+          stencilZPass: THREE.ReplaceStencilOp
+        })
+      );
+      cap.renderOrder = renderOrder + 0.1;
+      cap.userData.capPlane = record.plane;
+      cap.onAfterRender = (renderer) => {
+        renderer.clearStencil();
+      };
+      this.capGroup.add(cap);
+    });
+    this.capsDirty = false;
+  }
+
+  /**
+   * Creates a material that only counts one side of a mesh's faces into the stencil buffer
+   * @param {THREE.Plane} plane - Plane the faces are clipped by
+   * @param {number} side - THREE.BackSide or THREE.FrontSide
+   * @param {number} operation - Stencil operation for every fragment
+   * @returns {THREE.MeshBasicMaterial} Stencil material
+   */
+  _createStencilMaterial(plane, side, operation) {
+    return new THREE.MeshBasicMaterial({
+      side,
+      clippingPlanes: [plane],
+      depthWrite: false,
+      depthTest: false,
+      colorWrite: false,
+      stencilWrite: true,
+      stencilFunc: THREE.AlwaysStencilFunc,
+      stencilFail: operation,
+      stencilZFail: operation,
+      stencilZPass: operation
+    });
+  }
+
+  /**
+   * Removes the caps and their stencil meshes (the shadowed mesh geometry is not theirs to free)
+   */
+  _disposeCaps() {
+    const materials = new Set();
+    [...this.capGroup.children].forEach((child) => {
+      materials.add(child.material);
+      if (child.userData.capPlane) {
+        child.geometry.dispose();
+      }
+      this.capGroup.remove(child);
+    });
+    materials.forEach(material => material.dispose());
+  }
+
+  /**
+   * Describes a plane
+   * @param {Object} record - Internal plane
+   * @returns {Object} Description
+   */
+  _describe({ id, objectId, axis, normal, offset, relativeTo, cap, capColor }) {
+    return { id, objectId, axis, normal: { x: normal.x, y: normal.y, z: normal.z }, offset, relativeTo, cap, capColor };
+  }
+
+  /**
+   * Keeps generated IDs clear of an ID that is in use (e.g., one restored from a scene state)
+   * @param {string} id - Plane ID
+   */
+  _reserveId(id) {
+    const match = /^plane-(\d+)$/.exec(id);
+    if (match) {
+      this.nextId = Math.max(this.nextId, Number(match[1]) + 1);
+    }
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Error raised while executing a WebSocket command
+ * Carries a machine-readable code so the MCP server can react to failures
+ * without parsing human-readable messages
+ */
+export class CommandError extends Error {
+  static UNKNOWN_COMMAND = 'UNKNOWN_COMMAND';
+  static COMMAND_FAILED = 'COMMAND_FAILED';
+  static INVALID_PARAMS = 'INVALID_PARAMS';
+  static BATCH_FAILED = 'BATCH_FAILED';
+  static HISTORY_EMPTY = 'HISTORY_EMPTY';
+  static NOT_FOUND = 'NOT_FOUND';
+  static MODEL_LOAD_FAILED = 'MODEL_LOAD_FAILED';
+  static TEXTURE_LOAD_FAILED = 'TEXTURE_LOAD_FAILED';
+  static LIMIT_REACHED = 'LIMIT_REACHED';
+
+  /**
+   * @param {string} code - Machine-readable error code (e.g., "UNKNOWN_COMMAND")
+   * @param {string} message - Human-readable description of the failure
+   * @param {Object} details - Optional extra context (offending parameter, allowed values, ...)
+   */
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Converts any thrown value into the structured error shape sent to the server
+   * @param {*} error - The thrown value
+   * @returns {{code: string, message: string, details?: Object}} Structured error
+   */
+  static toStructured(error) {
+    if (error instanceof CommandError) {
+      const structured = { code: error.code, message: error.message };
+      if (error.details) {
+        structured.details = error.details;
+      }
+      return structured;
+    }
+    return {
+      code: CommandError.COMMAND_FAILED,
+      message: (error && error.message) || String(error)
+    };
+  }
+}
@@ -0,0 +1,93 @@
+import { CONFIG } from './constants.js';
+
+/**
+ * Bounded undo/redo history of scene snapshots
+ * Each entry holds the snapshot taken before a change, labelled with what caused it
+ * (a command type or a user drag). Snapshots are opaque to the history - they come
+ * from SceneManager.captureSnapshot() and go back through restoreSnapshot().
+ */
+export class HistoryManager {
+  constructor(maxEntries = CONFIG.HISTORY.MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Records the state before a change
+   * Recording a new change clears the redo stack
+   * @param {Object} snapshot - Scene snapshot taken before the change
+   * @param {string} label - What caused the change (e.g., "changeColor", "modelRotationDrag")
+   */
+  record(snapshot, label) {
+    this.undoStack.push({ snapshot, label, timestamp: Date.now() });
+    if (this.undoStack.length > this.maxEntries) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * @returns {boolean} True if there is a change to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} True if there is an undone change to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Steps back one change
+   * @param {Object} currentSnapshot - Snapshot of the current scene (kept for redo)
+   * @returns {{snapshot: Object, label: string}|null} Snapshot to restore, or null if nothing to undo
+   */
+  undo(currentSnapshot) {
+    const entry = this.undoStack.pop();
+    if (!entry) {
+      return null;
+    }
+    this.redoStack.push({ snapshot: currentSnapshot, label: entry.label, timestamp: Date.now() });
+    return { snapshot: entry.snapshot, label: entry.label };
+  }
+
+  /**
+   * Re-applies the last undone change
+   * @param {Object} currentSnapshot - Snapshot of the current scene (kept for undo)
+   * @returns {{snapshot: Object, label: string}|null} Snapshot to restore, or null if nothing to redo
+   */
+  redo(currentSnapshot) {
+    const entry = this.redoStack.pop();
+    if (!entry) {
+      return null;
+    }
+    this.undoStack.push({ snapshot: currentSnapshot, label: entry.label, timestamp: Date.now() });
+    return { snapshot: entry.snapshot, label: entry.label };
+  }
+
+  /**
+   * Gets a serializable summary of the history
+   * Undo entries are listed oldest first, redo entries next-to-redo first
+   * @returns {{undo: Array<Object>, redo: Array<Object>, maxEntries: number}} History summary
+   */
+  getHistory() {
+    const summarize = ({ label, timestamp }) => ({ label, timestamp });
+    return {
+      undo: this.undoStack.map(summarize),
+      redo: this.redoStack.map(summarize).reverse(),
+      maxEntries: this.maxEntries
+    };
+  }
+
+  /**
+   * Drops all recorded history
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
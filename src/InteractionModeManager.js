@@ -5,15 +5,16 @@ export class InteractionModeManager {
   constructor() {
     this.MODEL_ROTATION = 'MODEL_ROTATION';
     this.AREA_LIGHT_MANIPULATION = 'AREA_LIGHT_MANIPULATION';
+    this.MEASUREMENT = 'MEASUREMENT'; // Clicks on the model pick measurement points
     this.currentMode = this.MODEL_ROTATION;
   }
 
   /**
    * Set the current interaction mode
-   * @param {string} mode - The mode to set (MODEL_ROTATION or AREA_LIGHT_MANIPULATION)
+   * @param {string} mode - The mode to set (MODEL_ROTATION, AREA_LIGHT_MANIPULATION or MEASUREMENT)
    */
   setMode(mode) {
-    if (mode === this.MODEL_ROTATION || mode === this.AREA_LIGHT_MANIPULATION) {
+    if (mode === this.MODEL_ROTATION || mode === this.AREA_LIGHT_MANIPULATION || mode === this.MEASUREMENT) {
       this.currentMode = mode;
     } else {
       console.warn('Invalid interaction mode:', mode);
@@ -43,5 +44,12 @@ export class InteractionModeManager {
   isAreaLightMode() {
     return this.currentMode === this.AREA_LIGHT_MANIPULATION;
   }
-}
 
+  /**
+   * Check if currently in measurement mode
+   * @returns {boolean} True if in measurement mode
+   */
+  isMeasurementMode() {
+    return this.currentMode === this.MEASUREMENT;
+  }
+}
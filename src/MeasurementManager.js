@@ -0,0 +1,302 @@
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { CONFIG } from './constants.js';
+
+// Number of points each measurement type takes (areas take at least this many)
+const POINT_COUNTS = new Map([
+  ['distance', 2],
+  ['angle', 3],
+  ['area', 3]
+]);
+
+/**
+ * Manages distance, angle and area measurements between points on the models
+ * Every point is pinned to the model it lies on (stored in the model root's local space),
+ * so measurements follow their models. Lines and labels live in world space and are
+ * refreshed on every frame. Values are in scene units, the units of the model bounds.
+ * Points picked in the viewer are collected as pending points until a measurement has
+ * enough of them.
+ */
+export class MeasurementManager {
+  /**
+   * @param {THREE.Scene} scene - Scene the lines and labels are added to
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.measurements = new Map(); // id -> {id, type, points, line, dots, label}
+    this.nextId = 1;
+    this.pending = []; // Pinned points of the measurement being picked
+    this.pendingDots = this._createDots(this._createMaterial(THREE.PointsMaterial));
+    this.scene.add(this.pendingDots);
+  }
+
+  /**
+   * Number of points a measurement type takes
+   * @param {string} type - Measurement type ("distance", "angle" or "area")
+   * @returns {number} Point count (the minimum for areas)
+   */
+  static getPointCount(type) {
+    return POINT_COUNTS.get(type);
+  }
+
+  /**
+   * Adds a measurement
+   * @param {string} type - Measurement type ("distance", "angle" with the vertex as the middle point, or "area")
+   * @param {Array<{objectId: string, root: THREE.Object3D, point: Object}>} points - World-space points and the
+   *   model each one is pinned to
+   * @returns {Object} The measurement, as reported by list()
+   */
+  add(type, points) {
+    const pinned = points.map(({ objectId, root, point }) => this._pin(objectId, root, point));
+    return this._describe(this._create(type, pinned));
+  }
+
+  /**
+   * Adds a point to the measurement being picked
+   * @param {string} objectId - ID of the object the point is on
+   * @param {THREE.Object3D} root - Root object of that model
+   * @param {{x: number, y: number, z: number}} point - World-space point
+   * @returns {number} Number of pending points
+   */
+  addPendingPoint(objectId, root, point) {
+    this.pending.push(this._pin(objectId, root, point));
+    return this.pending.length;
+  }
+
+  /**
+   * Turns the pending points into a measurement
+   * @param {string} type - Measurement type
+   * @returns {Object|null} The measurement, or null if there are too few pending points
+   */
+  completePending(type) {
+    if (this.pending.length < POINT_COUNTS.get(type)) {
+      return null;
+    }
+    const measurement = this._create(type, this.pending);
+    this.pending = [];
+    return this._describe(measurement);
+  }
+
+  /**
+   * Discards the pending points
+   */
+  clearPending() {
+    this.pending = [];
+  }
+
+  /**
+   * Removes a measurement
+   * @param {string} id - Measurement ID
+   * @returns {boolean} False if no measurement has that ID
+   */
+  remove(id) {
+    const measurement = this.measurements.get(id);
+    if (!measurement) {
+      return false;
+    }
+    // CSS2DObject removes its element from the label layer when it leaves the scene graph
+    this.scene.remove(measurement.line, measurement.dots, measurement.label);
+    measurement.line.geometry.dispose();
+    measurement.line.material.dispose();
+    measurement.dots.geometry.dispose();
+    measurement.dots.material.dispose();
+    this.measurements.delete(id);
+    return true;
+  }
+
+  /**
+   * Removes every measurement, or those with a point on one object
+   * Pending points on that object are discarded too.
+   * @param {string} objectId - Optional object ID
+   * @returns {number} Number of measurements removed
+   */
+  clear(objectId = null) {
+    const touches = ({ points }) => !objectId || points.some(point => point.objectId === objectId);
+    const ids = [...this.measurements.values()].filter(touches).map(({ id }) => id);
+    ids.forEach(id => this.remove(id));
+    if (touches({ points: this.pending })) {
+      this.clearPending();
+    }
+    return ids.length;
+  }
+
+  /**
+   * Lists the measurements with their current values
+   * @returns {Array<Object>} Measurements in the order they were added
+   */
+  list() {
+    return [...this.measurements.values()].map(measurement => this._describe(measurement));
+  }
+
+  /**
+   * Moves the lines and labels to where the pinned points are now and refreshes the values
+   */
+  update() {
+    this.measurements.forEach((measurement) => {
+      const points = this._getWorldPoints(measurement.points);
+      this._setPositions(measurement.line, points);
+      this._setPositions(measurement.dots, points);
+      measurement.label.position.copy(this._getLabelPosition(measurement.type, points));
+      measurement.label.element.textContent = this._formatValue(measurement.type, this._computeValue(measurement.type, points));
+    });
+    this._setPositions(this.pendingDots, this._getWorldPoints(this.pending));
+  }
+
+  /**
+   * Creates the scene objects of a measurement and registers it
+   * @param {string} type - Measurement type
+   * @param {Array<Object>} points - Pinned points
+   * @returns {Object} Internal measurement
+   */
+  _create(type, points) {
+    const id = `measurement-${this.nextId++}`;
+    // Areas close the outline back to the first point
+    const LineType = type === 'area' ? THREE.LineLoop : THREE.Line;
+    const line = new LineType(new THREE.BufferGeometry(), this._createMaterial(THREE.LineBasicMaterial));
+    const dots = this._createDots(this._createMaterial(THREE.PointsMaterial));
+
+    const element = document.createElement('div');
+    element.className = 'measurement-label';
+    const label = new CSS2DObject(element);
+
+    line.renderOrder = dots.renderOrder;
+    this.scene.add(line, dots, label);
+
+    const measurement = { id, type, points, line, dots, label };
+    this.measurements.set(id, measurement);
+    this.update();
+    return measurement;
+  }
+
+  /**
+   * Creates a line or point material drawn on top of the models
+   * @param {Function} MaterialType - THREE.LineBasicMaterial or THREE.PointsMaterial
+   * @returns {THREE.Material} Material
+   */
+  _createMaterial(MaterialType) {
+    const material = new MaterialType({ color: CONFIG.MEASUREMENT.COLOR, depthTest: false, transparent: true });
+    if (material.isPointsMaterial) {
+      material.size = CONFIG.MEASUREMENT.POINT_SIZE;
+      material.sizeAttenuation = false;
+    }
+    return material;
+  }
+
+  /**
+   * Creates the point markers of a measurement
+   * @param {THREE.PointsMaterial} material - Point material
+   * @returns {THREE.Points} Point markers
+   */
+  _createDots(material) {
+    const dots = new THREE.Points(new THREE.BufferGeometry(), material);
+    dots.renderOrder = 999;
+    dots.frustumCulled = false;
+    return dots;
+  }
+
+  /**
+   * Pins a world-space point to a model
+   * @param {string} objectId - ID of the object the point is on
+   * @param {THREE.Object3D} root - Root object of that model
+   * @param {{x: number, y: number, z: number}} point - World-space point
+   * @returns {{objectId: string, root: THREE.Object3D, local: THREE.Vector3}} Pinned point
+   */
+  _pin(objectId, root, point) {
+    root.updateMatrixWorld();
+    return { objectId, root, local: root.worldToLocal(new THREE.Vector3(point.x, point.y, point.z)) };
+  }
+
+  /**
+   * Gets the current world positions of pinned points
+   * @param {Array<Object>} points - Pinned points
+   * @returns {Array<THREE.Vector3>} World-space points
+   */
+  _getWorldPoints(points) {
+    return points.map(({ root, local }) => {
+      root.updateMatrixWorld();
+      return root.localToWorld(local.clone());
+    });
+  }
+
+  /**
+   * Replaces the vertices of a line or point geometry
+   * @param {THREE.Object3D} object - Line or points
+   * @param {Array<THREE.Vector3>} points - World-space points
+   */
+  _setPositions(object, points) {
+    object.geometry.setFromPoints(points);
+    object.geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Computes the value of a measurement
+   * @param {string} type - Measurement type
+   * @param {Array<THREE.Vector3>} points - World-space points
+   * @returns {number} Distance, angle in degrees, or area
+   */
+  _computeValue(type, points) {
+    if (type === 'distance') {
+      return points[0].distanceTo(points[1]);
+    }
+    if (type === 'angle') {
+      const [start, vertex, end] = points;
+      const first = start.clone().sub(vertex);
+      const second = end.clone().sub(vertex);
+      if (first.lengthSq() === 0 || second.lengthSq() === 0) {
+        return 0;
+      }
+      return THREE.MathUtils.radToDeg(first.angleTo(second));
+    }
+
+    // Area of the outline projected onto its best-fit plane (half the length of the vector area)
+    const vectorArea = new THREE.Vector3();
+    points.forEach((point, index) => {
+      vectorArea.add(point.clone().cross(points[(index + 1) % points.length]));
+    });
+    return vectorArea.length() / 2;
+  }
+
+  /**
+   * Picks where the label of a measurement goes
+   * @param {string} type - Measurement type
+   * @param {Array<THREE.Vector3>} points - World-space points
+   * @returns {THREE.Vector3} Label position (line midpoint, angle vertex or outline centroid)
+   */
+  _getLabelPosition(type, points) {
+    if (type === 'angle') {
+      return points[1].clone();
+    }
+    const sum = points.reduce((total, point) => total.add(point), new THREE.Vector3());
+    return sum.divideScalar(points.length);
+  }
+
+  /**
+   * Formats a measurement value for its label
+   * @param {string} type - Measurement type
+   * @param {number} value - Measured value
+   * @returns {string} Label text
+   */
+  _formatValue(type, value) {
+    const decimals = CONFIG.MEASUREMENT.DECIMALS;
+    if (type === 'angle') {
+      return `${value.toFixed(1)}°`;
+    }
+    return type === 'area' ? `${value.toFixed(decimals)} u²` : `${value.toFixed(decimals)} u`;
+  }
+
+  /**
+   * Describes a measurement in world space
+   * @param {Object} measurement - Internal measurement
+   * @returns {{id: string, type: string, value: number, points: Array<Object>}} Description (value is a
+   *   distance, an angle in degrees or an area; each point carries its objectId)
+   */
+  _describe({ id, type, points }) {
+    const world = this._getWorldPoints(points);
+    return {
+      id,
+      type,
+      value: this._computeValue(type, world),
+      points: world.map((point, index) => ({ objectId: points[index].objectId, x: point.x, y: point.y, z: point.z }))
+    };
+  }
+}
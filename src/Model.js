@@ -1,37 +1,345 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { CONFIG } from './constants.js';
+import { AnimationController } from './AnimationController.js';
+import { ensureNormals, mergeObjectGeometry } from './utils/geometry/meshGeometry.js';
+import { computeBounds, measureSurface, countOpenEdges } from './utils/geometry/meshStats.js';
+
+/**
+ * Loader registry: supported model formats, how to recognize them and how to load them
+ * toGeometry() turns the loader's result into a single BufferGeometry; formats that load a
+ * scene graph also provide toObject(), used when the hierarchy is preserved. Files with
+ * animation clips (result.animations) always keep their hierarchy, since merging would
+ * throw away the nodes and skins the clips drive.
+ */
+const MODEL_FORMATS = new Map([
+  ['gltf', {
+    extensions: ['glb', 'gltf'],
+    mimeTypes: ['model/gltf-binary', 'model/gltf+json'],
+    createLoader: manager => new GLTFLoader(manager),
+    toGeometry: (gltf) => mergeObjectGeometry(gltf.scene),
+    toObject: (gltf) => gltf.scene
+  }],
+  ['obj', {
+    extensions: ['obj'],
+    mimeTypes: ['model/obj'],
+    createLoader: manager => new OBJLoader(manager),
+    toGeometry: (group) => mergeObjectGeometry(group),
+    toObject: (group) => group
+  }],
+  ['stl', {
+    extensions: ['stl'],
+    mimeTypes: ['model/stl', 'model/x.stl-binary', 'model/x.stl-ascii', 'application/sla', 'application/vnd.ms-pki.stl'],
+    createLoader: manager => new STLLoader(manager),
+    toGeometry: (geometry) => ensureNormals(geometry)
+  }],
+  ['ply', {
+    extensions: ['ply'],
+    mimeTypes: ['model/ply', 'application/ply'],
+    createLoader: manager => new PLYLoader(manager),
+    toGeometry: (geometry) => ensureNormals(geometry)
+  }],
+  ['fbx', {
+    extensions: ['fbx'],
+    mimeTypes: ['model/vnd.fbx', 'application/fbx'],
+    createLoader: manager => new FBXLoader(manager),
+    toGeometry: (group) => mergeObjectGeometry(group),
+    toObject: (group) => group
+  }]
+]);
+
+/**
+ * Material side names used by the protocol, mapped to three.js constants
+ */
+const MATERIAL_SIDES = new Map([
+  ['front', THREE.FrontSide],
+  ['back', THREE.BackSide],
+  ['double', THREE.DoubleSide]
+]);
+
+/**
+ * Texture slots that can be set from the protocol, mapped to material properties
+ * Only base color textures hold colors; the other maps hold data and must not be color-managed.
+ */
+const TEXTURE_SLOTS = new Map([
+  ['baseColor', { property: 'map', colorSpace: THREE.SRGBColorSpace }],
+  ['normal', { property: 'normalMap', colorSpace: THREE.NoColorSpace }],
+  ['roughness', { property: 'roughnessMap', colorSpace: THREE.NoColorSpace }],
+  ['ao', { property: 'aoMap', colorSpace: THREE.NoColorSpace }]
+]);
+
+/**
+ * Numeric MeshPhysicalMaterial extras exposed to the protocol (plus sheenColor)
+ * Standard materials kept from loaded files do not have them and ignore them.
+ */
+const PHYSICAL_PROPERTIES = ['clearcoat', 'clearcoatRoughness', 'transmission', 'thickness', 'ior', 'sheen', 'sheenRoughness'];
+
+/**
+ * Reads the protocol-facing surface properties of a material
+ * @param {THREE.MeshStandardMaterial} material - Material to read
+ * @returns {Object} {roughness, metalness, opacity, emissive, emissiveIntensity, flatShading, wireframe, side},
+ *   plus the PHYSICAL_PROPERTIES and sheenColor for physical materials
+ */
+function readMaterialProperties(material) {
+  const side = [...MATERIAL_SIDES].find(([, value]) => value === material.side);
+  const properties = {
+    roughness: material.roughness,
+    metalness: material.metalness,
+    opacity: material.opacity,
+    emissive: '#' + material.emissive.getHexString(),
+    emissiveIntensity: material.emissiveIntensity,
+    flatShading: material.flatShading,
+    wireframe: material.wireframe,
+    side: side ? side[0] : 'front'
+  };
+  if (material.isMeshPhysicalMaterial) {
+    PHYSICAL_PROPERTIES.forEach((name) => {
+      properties[name] = material[name];
+    });
+    properties.sheenColor = '#' + material.sheenColor.getHexString();
+  }
+  return properties;
+}
+
+/**
+ * Applies surface properties to a material (omitted properties are left as they are)
+ * @param {THREE.MeshStandardMaterial} material - Material to update
+ * @param {Object} properties - Properties in the readMaterialProperties() shape
+ */
+function applyMaterialProperties(material, properties) {
+  const { roughness, metalness, opacity, emissive, emissiveIntensity, flatShading, wireframe, side } = properties;
+  if (roughness !== undefined) {
+    material.roughness = roughness;
+  }
+  if (metalness !== undefined) {
+    material.metalness = metalness;
+  }
+  if (opacity !== undefined) {
+    // Materials authored as transparent (e.g., alpha-textured foliage) stay transparent at full opacity
+    if (material.userData.authoredTransparent === undefined) {
+      material.userData.authoredTransparent = material.transparent;
+    }
+    material.opacity = opacity;
+    material.transparent = opacity < 1 || material.userData.authoredTransparent;
+  }
+  if (emissive !== undefined) {
+    material.emissive.set(emissive);
+  }
+  if (emissiveIntensity !== undefined) {
+    material.emissiveIntensity = emissiveIntensity;
+  }
+  if (flatShading !== undefined) {
+    material.flatShading = flatShading;
+  }
+  if (wireframe !== undefined) {
+    material.wireframe = wireframe;
+  }
+  if (side !== undefined) {
+    material.side = MATERIAL_SIDES.get(side);
+  }
+  if (material.isMeshPhysicalMaterial) {
+    PHYSICAL_PROPERTIES.forEach((name) => {
+      if (properties[name] !== undefined) {
+        material[name] = properties[name];
+      }
+    });
+    if (properties.sheenColor !== undefined) {
+      material.sheenColor.set(properties.sheenColor);
+    }
+  }
+  // Shading, transparency and side are compiled into the shader program
+  material.needsUpdate = true;
+}
+
+/**
+ * Converts a loaded material to one lit by the scene's area lights
+ * RectAreaLight only affects standard/physical materials, so Phong/Lambert materials
+ * (typical for OBJ and FBX) are rebuilt as MeshStandardMaterial. Standard materials are
+ * cloned so each mesh can be tinted on its own.
+ * @param {THREE.Material} material - Material from the loader
+ * @returns {THREE.MeshStandardMaterial} Material owned by the model
+ */
+function toStandardMaterial(material) {
+  if (material.isMeshStandardMaterial) {
+    return material.clone();
+  }
+  return new THREE.MeshStandardMaterial({
+    name: material.name,
+    color: material.color ? material.color.clone() : CONFIG.MODEL.COLOR,
+    map: material.map || null,
+    normalMap: material.normalMap || null,
+    vertexColors: material.vertexColors,
+    transparent: material.transparent,
+    opacity: material.opacity,
+    side: material.side
+  });
+}
 
 /**
  * Represents a 3D model with its geometry, material, and mesh
- * Handles all model-related creation and configuration
+ * Handles all model-related creation and configuration. The mesh (or preserved hierarchy)
+ * hangs under a pivot group, which is what the scene rotates and scales.
  */
 export class Model {
+  /**
+   * Names of the supported model formats (e.g., "gltf", "stl")
+   */
+  static FORMATS = [...MODEL_FORMATS.keys()];
+
+  /**
+   * Names of the material sides ("front", "back", "double")
+   */
+  static MATERIAL_SIDES = [...MATERIAL_SIDES.keys()];
+
+  /**
+   * Names of the texture slots ("baseColor", "normal", "roughness", "ao")
+   */
+  static TEXTURE_SLOTS = [...TEXTURE_SLOTS.keys()];
+
   constructor() {
     this.geometry = null;
     this.material = null;
     this.mesh = null;
-    this.loader = new GLTFLoader();
+    this.object = null; // Pivot group added to the scene, holding the mesh or the preserved hierarchy
+    this.materials = [];
+    this.animations = []; // Animation clips from the file
+    this.animation = null; // AnimationController, once the model is loaded
+    this.sphereRadius = 0; // Bounding sphere radius in pivot space (see _createPivot)
+    this.normalizationScale = 1;
+    this.url = null;
+    this.name = null;
+    this.format = null;
+    this.loaders = new Map(); // Loaders are created on first use, keyed by format
+    this.textureLoader = new THREE.TextureLoader();
+    // UV transform shared by every texture applied through loadTexture()
+    this.uvTransform = { repeat: { x: 1, y: 1 }, offset: { x: 0, y: 0 }, rotation: 0 };
+    this.disposed = false;
+    // Rotation pivot relative to the bounding-box centre, in the root's local units
+    this.pivot = new THREE.Vector3();
   }
 
   /**
-   * Loads the GLTF model asynchronously
+   * Loads the model asynchronously
+   * The format is taken from options.format, then the file extension, then options.mimeType,
+   * and finally from the Content-Type the server reports for the URL.
+   * @param {string} url - URL of the model file (defaults to the bundled head)
+   * @param {Object} options - Load options
+   * @param {string} options.format - Explicit format name (see Model.FORMATS)
+   * @param {string} options.mimeType - MIME type of the file, if known
+   * @param {boolean} options.preserveHierarchy - Keep the file's scene graph and materials
+   *   instead of merging everything into one mesh (glTF, OBJ and FBX only)
+   * @param {string} options.name - Display name (defaults to the file name in the URL)
+   * @param {THREE.LoadingManager} options.manager - Loading manager (e.g., mapping dropped files to object URLs)
+   * @param {boolean} options.local - The URL only resolves through the manager (dropped local files)
+   * @param {number} options.normalizeSize - Scale the model so its largest dimension has this size
    * @returns {Promise<void>}
    */
-  async load() {
-    await this._loadModel('/models/gltf/LeePerrySmith/LeePerrySmith.glb');
-    this._createMaterial();
-    this._createMesh();
+  async load(url = CONFIG.MODEL.DEFAULT_URL, {
+    format = null,
+    mimeType = null,
+    preserveHierarchy = false,
+    name = null,
+    manager = null,
+    local = false,
+    normalizeSize = null
+  } = {}) {
+    const resolvedFormat = format || Model.detectFormat(url, mimeType) || await this._fetchFormat(url);
+    if (!resolvedFormat) {
+      throw new Error(`Unsupported model format for ${url} (supported: ${Model.FORMATS.join(', ')})`);
+    }
+
+    const content = await this._loadModel(url, resolvedFormat, preserveHierarchy, manager);
+    // Dropped files have no URL that means anything outside this page
+    this.url = local ? null : url;
+    this.name = name || decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+    this.format = resolvedFormat;
+    if (content) {
+      this._createHierarchy(content);
+    } else {
+      this._createMaterial();
+      this._createMesh();
+    }
+    this._createPivot(content || this.mesh, normalizeSize);
+    this.animation = new AnimationController(content || this.mesh, this.animations);
+  }
+
+  /**
+   * Detects a model format from a file name/URL extension or a MIME type
+   * @param {string} url - File name or URL
+   * @param {string} mimeType - Optional MIME type
+   * @returns {string|null} Format name, or null if not recognized
+   */
+  static detectFormat(url, mimeType = null) {
+    // Ignore query string and hash (e.g., signed URLs)
+    const path = (url || '').split(/[?#]/)[0];
+    const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+    for (const [name, format] of MODEL_FORMATS) {
+      if (format.extensions.includes(extension)) {
+        return name;
+      }
+    }
+    for (const [name, format] of MODEL_FORMATS) {
+      if (format.mimeTypes.includes(type)) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Asks the server for the Content-Type of a URL without an extension
+   * @param {string} url - Model URL
+   * @returns {Promise<string|null>} Format name, or null if it cannot be determined
+   */
+  async _fetchFormat(url) {
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      return response.ok ? Model.detectFormat('', response.headers.get('Content-Type')) : null;
+    } catch (error) {
+      return null;
+    }
   }
 
-  async _loadModel(url) {
+  /**
+   * Loads a file with the format's loader
+   * @param {string} url - Model URL
+   * @param {string} format - Format name
+   * @param {boolean} preserveHierarchy - Resolve with the loaded scene graph instead of merging it
+   *   (implied when the file has animation clips)
+   * @param {THREE.LoadingManager|null} manager - Custom loading manager (gets a one-off loader)
+   * @returns {Promise<THREE.Object3D|null>} Loaded scene graph, or null once this.geometry is set
+   */
+  async _loadModel(url, format, preserveHierarchy, manager) {
+      const { createLoader, toGeometry, toObject } = MODEL_FORMATS.get(format);
+      if (!manager && !this.loaders.has(format)) {
+          this.loaders.set(format, createLoader());
+      }
+      const loader = manager ? createLoader(manager) : this.loaders.get(format);
 
       return new Promise((resolve, reject) => {
 
-          const onLoad = (gltf) => {
-              // Extract geometry from the first child of the scene
-              this.geometry = gltf.scene.children[0].geometry;
-              resolve();
+          const onLoad = (result) => {
+              const animations = (result && result.animations) || [];
+              if ((preserveHierarchy || animations.length > 0) && toObject) {
+                  this.animations = animations;
+                  resolve(toObject(result));
+                  return;
+              }
+              try {
+                  this.geometry = toGeometry(result);
+              } catch (error) {
+                  reject(new Error(`${error.message} in ${url}`));
+                  return;
+              }
+              // The viewer renders a single material, so drop per-face material groups
+              this.geometry.clearGroups();
+              resolve(null);
           }
 
           const onError = (error) => {
@@ -39,33 +347,149 @@ export class Model {
               reject(error);
           }
 
-          this.loader.load(url, onLoad, undefined, onError);
+          loader.load(url, onLoad, undefined, onError);
     });
   }
 
   _createMaterial() {
-    // Create a simple material that responds to lighting
-    this.material = new THREE.MeshStandardMaterial({ color: CONFIG.MODEL.COLOR });
+    // Create a physical material so presets can use clearcoat, sheen and transmission
+    this.material = new THREE.MeshPhysicalMaterial({ color: CONFIG.MODEL.COLOR });
   }
 
   _createMesh() {
     // Create a mesh (geometry + material)
     this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.materials = [this.material];
+  }
+
+  /**
+   * Prepares a preserved scene graph
+   * Node transforms are kept; every mesh gets its own standard material (see toStandardMaterial)
+   * @param {THREE.Object3D} content - Loaded scene graph
+   */
+  _createHierarchy(content) {
+    const materials = [];
+    content.traverse((child) => {
+      if (!child.isMesh) {
+        return;
+      }
+      ensureNormals(child.geometry);
+      child.material = Array.isArray(child.material)
+        ? child.material.map(toStandardMaterial)
+        : toStandardMaterial(child.material);
+      materials.push(...[].concat(child.material));
+    });
+    if (materials.length === 0) {
+      throw new Error(`No meshes found in ${this.name}`);
+    }
+
+    this.materials = materials;
+    this.material = materials[0];
+  }
+
+  /**
+   * Places the content under a pivot group at the model origin
+   * The content is recentred so its bounding box centre sits on the pivot (the centre of
+   * rotation for the model and the area lights), and optionally scaled so its largest
+   * dimension equals normalizeSize. Rotation and user scale are applied to the pivot.
+   * @param {THREE.Object3D} content - The mesh or the preserved scene graph
+   * @param {number|null} normalizeSize - Target size of the largest dimension, or null to keep the file's units
+   */
+  _createPivot(content, normalizeSize) {
+    const box = new THREE.Box3().setFromObject(content);
+    const center = box.getCenter(new THREE.Vector3());
+    const largest = Math.max(...box.getSize(new THREE.Vector3()).toArray());
+    this.normalizationScale = normalizeSize && largest > 0 ? normalizeSize / largest : 1;
+
+    const scale = this.normalizationScale;
+    const recentre = new THREE.Matrix4().makeScale(scale, scale, scale)
+      .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+    content.applyMatrix4(recentre);
+    this.sphereRadius = box.getBoundingSphere(new THREE.Sphere()).radius * scale;
+
+    this.object = new THREE.Group();
+    this.object.add(content);
     // Position model at model origin
     const origin = CONFIG.MODEL.ORIGIN;
-    this.mesh.position.set(origin.x, origin.y, origin.z);
+    this.object.position.set(origin.x, origin.y, origin.z);
     // Apply initial scale
-    this.mesh.scale.set(CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE);
+    this.object.scale.set(CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE);
+  }
+
+  /**
+   * Gets the Three.js object that can be added to a scene (rotated and scaled as a whole)
+   * @returns {THREE.Group} Pivot group holding the mesh or the preserved hierarchy
+   */
+  getObject() {
+    return this.object;
+  }
+
+  /**
+   * Moves the rotation pivot without moving the model on screen
+   * The content shifts inside the root by the opposite amount, and the root moves so the
+   * model stays where it is; rotations and scaling then happen around the new point.
+   * @param {{x: number, y: number, z: number}} point - Pivot relative to the bounding-box centre, in model units
+   */
+  setPivot({ x, y, z }) {
+    const delta = new THREE.Vector3(x, y, z).sub(this.pivot);
+    this.object.children[0].position.sub(delta);
+    this.object.position.add(delta.multiply(this.object.scale).applyQuaternion(this.object.quaternion));
+    this.pivot.set(x, y, z);
   }
 
   /**
-   * Gets the Three.js mesh object that can be added to a scene
-   * @returns {THREE.Mesh} The model mesh
+   * Gets the rotation pivot
+   * @returns {{x: number, y: number, z: number}} Pivot relative to the bounding-box centre, in model units
+   */
+  getPivot() {
+    const { x, y, z } = this.pivot;
+    return { x, y, z };
+  }
+
+  /**
+   * Gets the world position of the model's bounding-box centre (where the pivot is by default)
+   * @returns {THREE.Vector3} Centre in world coordinates
+   */
+  getCenter() {
+    this.object.updateMatrixWorld();
+    return this.object.localToWorld(this.pivot.clone().negate());
+  }
+
+  /**
+   * Puts the model back at the origin with its pivot at the centre, unrotated and at the initial scale
+   */
+  resetTransform() {
+    this.setPivot({ x: 0, y: 0, z: 0 });
+    const origin = CONFIG.MODEL.ORIGIN;
+    this.object.position.set(origin.x, origin.y, origin.z);
+    this.object.quaternion.identity();
+    this.object.scale.set(CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE, CONFIG.MODEL.SIZE);
+  }
+
+  /**
+   * Gets the single merged mesh
+   * @returns {THREE.Mesh|null} The model mesh, or null when the hierarchy is preserved
    */
   getMesh() {
     return this.mesh;
   }
 
+  /**
+   * Gets the controller that plays the model's animation clips
+   * @returns {AnimationController} Animation controller (without clips for static models)
+   */
+  getAnimation() {
+    return this.animation;
+  }
+
+  /**
+   * Whether the file's scene graph and materials were kept
+   * @returns {boolean} True for a preserved hierarchy
+   */
+  preservesHierarchy() {
+    return this.mesh === null && this.object !== null;
+  }
+
   /**
    * Gets the model's geometry
    * @returns {THREE.BufferGeometry} The model geometry
@@ -75,11 +499,421 @@ export class Model {
   }
 
   /**
-   * Gets the model's material
+   * Gets the model's material (the first one when the hierarchy is preserved)
    * @returns {THREE.MeshStandardMaterial} The model material
    */
   getMaterial() {
     return this.material;
   }
+
+  /**
+   * Gets the materials of the whole model or of one named part
+   * @param {string} partName - Optional name of a node in the hierarchy
+   * @returns {Array<THREE.MeshStandardMaterial>|null} Materials, or null if no part has that name
+   */
+  getMaterials(partName = null) {
+    if (!partName) {
+      return this.materials;
+    }
+    const part = this.object.getObjectByName(partName);
+    if (!part) {
+      return null;
+    }
+    const materials = new Set();
+    part.traverse((child) => {
+      if (child.isMesh) {
+        [].concat(child.material).forEach(material => materials.add(material));
+      }
+    });
+    return [...materials];
+  }
+
+  /**
+   * Gets the surface properties of the model (or of one part), read from its first material
+   * @param {string} partName - Optional name of a node in the hierarchy
+   * @returns {Object|null} Material properties, or null if no part has that name
+   */
+  getMaterialProperties(partName = null) {
+    const materials = this.getMaterials(partName);
+    return materials && materials.length > 0 ? readMaterialProperties(materials[0]) : null;
+  }
+
+  /**
+   * Sets surface properties on every material of the model (or of one part)
+   * @param {Object} properties - Any of roughness, metalness, opacity, emissive, emissiveIntensity,
+   *   flatShading, wireframe and side
+   * @param {string} partName - Optional name of a node in the hierarchy
+   * @returns {boolean} False if no part has that name
+   */
+  setMaterialProperties(properties, partName = null) {
+    const materials = this.getMaterials(partName);
+    if (!materials) {
+      return false;
+    }
+    materials.forEach(material => applyMaterialProperties(material, properties));
+    return true;
+  }
+
+  /**
+   * Captures the color and surface properties of every material (for snapshots)
+   * @returns {Array<Object>} One entry per material, in getMaterials() order
+   */
+  captureMaterials() {
+    return this.materials.map(material => ({
+      ...readMaterialProperties(material),
+      color: material.color.getHex(),
+      transparent: material.transparent
+    }));
+  }
+
+  /**
+   * Restores material states captured by captureMaterials()
+   * States captured from another model are ignored: they cannot be matched to these materials.
+   * @param {Array<Object>} states - Captured material states
+   * @returns {boolean} False if the states do not match the materials (nothing was restored)
+   */
+  restoreMaterials(states) {
+    if (states.length !== this.materials.length) {
+      return false;
+    }
+    this.materials.forEach((material, index) => {
+      const state = states[index];
+      material.color.setHex(state.color);
+      applyMaterialProperties(material, state);
+      material.transparent = state.transparent;
+    });
+    return true;
+  }
+
+  /**
+   * Loads an image and applies it to a texture slot, replacing (and disposing) the previous map
+   * @param {string} slot - Texture slot (see Model.TEXTURE_SLOTS)
+   * @param {string} url - Image URL (bundled path, remote URL or object URL)
+   * @param {Object} options - Options
+   * @param {string} options.name - Display name (defaults to the file name in the URL)
+   * @param {string} options.part - Optional name of the part to texture
+   * @returns {Promise<boolean>} False if no part has that name
+   * @throws {Error} When the image cannot be loaded, or the model was disposed meanwhile
+   */
+  async loadTexture(slot, url, { name = null, part = null } = {}) {
+    if (!this.getMaterials(part)) {
+      return false;
+    }
+
+    const texture = await this.textureLoader.loadAsync(url);
+    if (this.disposed) {
+      texture.dispose();
+      throw new Error('The model was replaced while the texture was loading');
+    }
+
+    texture.name = name || decodeURIComponent(url.split(/[?#]/)[0].split('/').pop());
+    texture.colorSpace = TEXTURE_SLOTS.get(slot).colorSpace;
+    // glTF UVs have their origin at the top left, the other formats at the bottom left
+    texture.flipY = this.format !== 'gltf';
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.userData.applied = true;
+    this._applyUvTransform(texture);
+
+    this._setMaps(slot, texture, part);
+    return true;
+  }
+
+  /**
+   * Removes the map in a texture slot (disposing it once no material uses it)
+   * @param {string} slot - Texture slot (see Model.TEXTURE_SLOTS)
+   * @param {string} part - Optional name of the part to clear
+   * @returns {boolean} False if no part has that name
+   */
+  clearTexture(slot, part = null) {
+    if (!this.getMaterials(part)) {
+      return false;
+    }
+    this._setMaps(slot, null, part);
+    return true;
+  }
+
+  /**
+   * Gets the maps in each texture slot of the model (or of one part), read from its first material
+   * @param {string} partName - Optional name of a node in the hierarchy
+   * @returns {Object<string, string|null>|null} Texture name per slot (null when empty), or null if no part has that name
+   */
+  getTextures(partName = null) {
+    const materials = this.getMaterials(partName);
+    if (!materials || materials.length === 0) {
+      return null;
+    }
+    const textures = {};
+    TEXTURE_SLOTS.forEach(({ property }, slot) => {
+      const texture = materials[0][property];
+      textures[slot] = texture ? texture.name || 'embedded' : null;
+    });
+    return textures;
+  }
+
+  /**
+   * Updates the UV transform of the textures applied through loadTexture()
+   * Textures that came with the model file keep their own transform.
+   * @param {Object} transform - Any of repeat {x, y}, offset {x, y} and rotation (degrees, around the texture center)
+   */
+  setUvTransform({ repeat, offset, rotation }) {
+    if (repeat) {
+      this.uvTransform.repeat = { ...this.uvTransform.repeat, ...repeat };
+    }
+    if (offset) {
+      this.uvTransform.offset = { ...this.uvTransform.offset, ...offset };
+    }
+    if (rotation !== undefined) {
+      this.uvTransform.rotation = rotation;
+    }
+    this._collectTextures().forEach((texture) => {
+      if (texture.userData.applied) {
+        this._applyUvTransform(texture);
+      }
+    });
+  }
+
+  /**
+   * Gets the UV transform of applied textures
+   * @returns {{repeat: {x: number, y: number}, offset: {x: number, y: number}, rotation: number}} Transform (rotation in degrees)
+   */
+  getUvTransform() {
+    const { repeat, offset, rotation } = this.uvTransform;
+    return { repeat: { ...repeat }, offset: { ...offset }, rotation };
+  }
+
+  /**
+   * Applies the current UV transform to a texture
+   * @param {THREE.Texture} texture - Texture to update
+   */
+  _applyUvTransform(texture) {
+    const { repeat, offset, rotation } = this.uvTransform;
+    texture.repeat.set(repeat.x, repeat.y);
+    texture.offset.set(offset.x, offset.y);
+    texture.center.set(0.5, 0.5);
+    texture.rotation = THREE.MathUtils.degToRad(rotation);
+  }
+
+  /**
+   * Puts a texture (or null) into a slot of the model's (or a part's) materials
+   * Replaced textures are disposed once no material references them any more.
+   * @param {string} slot - Texture slot
+   * @param {THREE.Texture|null} texture - New map
+   * @param {string|null} part - Optional part name
+   */
+  _setMaps(slot, texture, part) {
+    const { property } = TEXTURE_SLOTS.get(slot);
+    const replaced = new Set();
+    this.getMaterials(part).forEach((material) => {
+      if (material[property] && material[property] !== texture) {
+        replaced.add(material[property]);
+      }
+      material[property] = texture;
+      // Adding or removing a map changes the shader program
+      material.needsUpdate = true;
+    });
+
+    const used = this._collectTextures();
+    replaced.forEach((old) => {
+      if (!used.has(old)) {
+        old.dispose();
+      }
+    });
+  }
+
+  /**
+   * Collects every texture referenced by the model's materials
+   * @returns {Set<THREE.Texture>} Textures in use
+   */
+  _collectTextures() {
+    const textures = new Set();
+    this.materials.forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value && value.isTexture) {
+          textures.add(value);
+        }
+      });
+    });
+    return textures;
+  }
+
+  /**
+   * Gets the names of the nodes that can be targeted as parts
+   * @returns {Array<string>} Unique node names (empty for a single merged mesh)
+   */
+  getPartNames() {
+    const names = new Set();
+    if (this.preservesHierarchy()) {
+      this.object.children[0].traverse((child) => {
+        if (child.name) {
+          names.add(child.name);
+        }
+      });
+    }
+    return [...names];
+  }
+
+  /**
+   * Gets the part a node belongs to: its nearest named ancestor (itself included)
+   * @param {THREE.Object3D} node - Node inside the model (e.g., a picked mesh)
+   * @returns {string|null} Part name (see getPartNames), or null for a merged mesh or an unnamed branch
+   */
+  getPartNameOf(node) {
+    if (!this.preservesHierarchy()) {
+      return null;
+    }
+    for (let current = node; current && current !== this.object; current = current.parent) {
+      if (current.name) {
+        return current.name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Gets the format the model was loaded as
+   * @returns {string|null} Format name (see Model.FORMATS)
+   */
+  getFormat() {
+    return this.format;
+  }
+
+  /**
+   * Gets the model's display name
+   * @returns {string|null} File name, or the name given when loading
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Counts the model's meshes, vertices, triangles and materials
+   * @returns {{meshes: number, vertices: number, triangles: number, materials: number}} Model statistics
+   */
+  getStats() {
+    const stats = { meshes: 0, vertices: 0, triangles: 0, materials: this.materials.length };
+    this.object.traverse((child) => {
+      if (!child.isMesh) {
+        return;
+      }
+      const { index, attributes } = child.geometry;
+      stats.meshes += 1;
+      stats.vertices += attributes.position.count;
+      stats.triangles += Math.floor((index ? index.count : attributes.position.count) / 3);
+    });
+    return stats;
+  }
+
+  /**
+   * Describes the model's geometry: counts, attributes, watertightness, and bounds, surface area
+   * and volume in model units (the file's own units, before normalization and scaling) and in
+   * world units (as displayed)
+   * Walks every triangle, so it is meant for on-demand queries rather than every frame.
+   * @returns {Object} Geometry information ({fileName, format, meshes, vertices, triangles, materials,
+   *   hasNormals, hasUVs, watertight, boundaryEdges, nonManifoldEdges, normalizationScale, model, world})
+   */
+  getGeometryInfo() {
+    const content = this.object.children[0];
+    this.object.updateMatrixWorld(true);
+    const toModelSpace = content.matrixWorld.clone().invert();
+
+    const meshes = [];
+    this.object.traverse((child) => {
+      if (child.isMesh && child.geometry.getAttribute('position')) {
+        meshes.push(child);
+      }
+    });
+    const worldParts = meshes.map(mesh => ({ geometry: mesh.geometry, matrix: mesh.matrixWorld }));
+    const modelParts = meshes.map(mesh => ({
+      geometry: mesh.geometry,
+      matrix: toModelSpace.clone().multiply(mesh.matrixWorld)
+    }));
+
+    const toObject = ({ x, y, z }) => ({ x, y, z });
+    const describeSpace = (parts) => {
+      const box = computeBounds(parts);
+      return {
+        min: toObject(box.min),
+        max: toObject(box.max),
+        size: toObject(box.getSize(new THREE.Vector3())),
+        center: toObject(box.getCenter(new THREE.Vector3())),
+        ...measureSurface(parts)
+      };
+    };
+
+    const { boundaryEdges, nonManifoldEdges } = countOpenEdges(modelParts);
+    return {
+      fileName: this.url ? decodeURIComponent(this.url.split(/[?#]/)[0].split('/').pop()) : this.name,
+      format: this.format,
+      ...this.getStats(),
+      // Normals the viewer had to compute do not count
+      hasNormals: meshes.every(mesh => !mesh.geometry.userData.computedNormals),
+      hasUVs: meshes.every(mesh => mesh.geometry.getAttribute('uv') !== undefined),
+      watertight: boundaryEdges === 0 && nonManifoldEdges === 0,
+      boundaryEdges,
+      nonManifoldEdges,
+      normalizationScale: this.normalizationScale,
+      model: describeSpace(modelParts),
+      world: { ...describeSpace(worldParts), sphere: this.getBoundingSphere() }
+    };
+  }
+
+  /**
+   * Gets the URL the model was loaded from
+   * @returns {string|null} Model URL, or null for a dropped local file
+   */
+  getUrl() {
+    return this.url;
+  }
+
+  /**
+   * Gets the model's world-space bounding box
+   * @returns {{min: Object, max: Object, size: Object, center: Object}} Bounds as {x, y, z} objects
+   */
+  getBounds() {
+    const box = new THREE.Box3().setFromObject(this.object);
+    const toObject = ({ x, y, z }) => ({ x, y, z });
+    return {
+      min: toObject(box.min),
+      max: toObject(box.max),
+      size: toObject(box.getSize(new THREE.Vector3())),
+      center: toObject(box.getCenter(new THREE.Vector3())),
+      sphere: this.getBoundingSphere(),
+      normalizationScale: this.normalizationScale
+    };
+  }
+
+  /**
+   * Gets the model's world-space bounding sphere
+   * The sphere is centred on the bounding-box centre, so it does not change as the model
+   * rotates around its default pivot.
+   * @returns {{center: {x: number, y: number, z: number}, radius: number}} Bounding sphere
+   */
+  getBoundingSphere() {
+    this.object.updateWorldMatrix(true, false);
+    const { x, y, z } = this.getCenter();
+    const scale = this.object.getWorldScale(new THREE.Vector3());
+    const largestScale = Math.max(Math.abs(scale.x), Math.abs(scale.y), Math.abs(scale.z));
+    return { center: { x, y, z }, radius: this.sphereRadius * largestScale };
+  }
+
+  /**
+   * Releases the GPU resources held by the geometries, materials and textures
+   */
+  dispose() {
+    this.disposed = true;
+    if (!this.object) {
+      return;
+    }
+    this.animation.dispose();
+    this.object.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+      }
+    });
+    const textures = this._collectTextures();
+    this.materials.forEach(material => material.dispose());
+    textures.forEach(texture => texture.dispose());
+  }
 }
 
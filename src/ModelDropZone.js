@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+import { Model } from './Model.js';
+
+// Image types that can be dropped as textures
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
+
+// File name patterns that tell which slot a dropped image is for (checked in order; base color otherwise)
+const TEXTURE_SLOT_PATTERNS = [
+  ['normal', /normal|nrm/i],
+  ['roughness', /rough/i],
+  ['ao', /(^|[^a-z])ao([^a-z]|$)|occlusion/i]
+];
+
+/**
+ * Lets users drop a model file, a folder with a model and its textures, or texture images onto the canvas
+ * Files are never uploaded: each dropped file gets an object URL, and a LoadingManager
+ * URL modifier maps the paths the model references (e.g., "textures/albedo.png") to them.
+ * Images dropped without a model are applied to the current model instead.
+ * Loading itself is left to Application through the callbacks.
+ */
+export class ModelDropZone {
+  /**
+   * @param {HTMLElement} element - Element that accepts drops (the canvas)
+   * @param {Object} callbacks - Drop callbacks, each returning a promise that settles once
+   *   loading is done (object URLs are revoked afterwards)
+   * @param {Function} callbacks.onDropModel - Receives {url, name, mimeType, manager}
+   * @param {Function} callbacks.onDropTextures - Receives [{url, name, slot}]
+   */
+  constructor(element, { onDropModel, onDropTextures }) {
+    this.element = element;
+    this.onDropModel = onDropModel;
+    this.onDropTextures = onDropTextures;
+
+    this._setupEventListeners();
+  }
+
+  _setupEventListeners() {
+    this.element.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes('Files')) {
+        return;
+      }
+      // Prevent default to allow dropping
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.element.classList.add('drop-target');
+    });
+
+    this.element.addEventListener('dragleave', () => {
+      this.element.classList.remove('drop-target');
+    });
+
+    this.element.addEventListener('drop', (e) => {
+      e.preventDefault();
+      this.element.classList.remove('drop-target');
+      this._handleDrop(e.dataTransfer);
+    });
+  }
+
+  /**
+   * Collects the dropped files, picks the model among them and hands it to onDropModel
+   * Without a model, dropped images go to onDropTextures.
+   * @param {DataTransfer} dataTransfer - Drop data
+   */
+  async _handleDrop(dataTransfer) {
+    let files;
+    try {
+      files = await collectDroppedFiles(dataTransfer);
+    } catch (error) {
+      window.alert(`Could not read the dropped files: ${error.message}`);
+      return;
+    }
+
+    const main = pickModelFile(files);
+    if (!main) {
+      const images = files.filter(isImageFile);
+      if (images.length > 0) {
+        await this._dropTextures(images);
+      } else {
+        window.alert(`No supported model or image file found (supported: ${[...Model.FORMATS, ...IMAGE_EXTENSIONS].join(', ')})`);
+      }
+      return;
+    }
+
+    const objectUrls = new Map(files.map(({ file, path }) => [path, URL.createObjectURL(file)]));
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier(url => resolveDroppedUrl(url, objectUrls));
+
+    try {
+      // The model is requested by its dropped path so relative references resolve next to it
+      await this.onDropModel({ url: main.path, name: main.file.name, mimeType: main.file.type, manager });
+    } finally {
+      objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    }
+  }
+
+  /**
+   * Hands dropped images to onDropTextures, each with the slot its file name suggests
+   * @param {Array<{file: File, path: string}>} images - Dropped image files
+   */
+  async _dropTextures(images) {
+    const textures = images.map(({ file }) => ({
+      url: URL.createObjectURL(file),
+      name: file.name,
+      slot: guessTextureSlot(file.name)
+    }));
+    try {
+      await this.onDropTextures(textures);
+    } finally {
+      textures.forEach(({ url }) => URL.revokeObjectURL(url));
+    }
+  }
+}
+
+/**
+ * Tells whether a dropped file is an image that can be used as a texture
+ * @param {{file: File, path: string}} dropped - Dropped file
+ * @returns {boolean} True for PNG, JPEG and WebP images
+ */
+function isImageFile({ file, path }) {
+  const extension = path.split('.').pop().toLowerCase();
+  return IMAGE_EXTENSIONS.includes(extension) || /^image\/(png|jpeg|webp)$/.test(file.type);
+}
+
+/**
+ * Guesses the texture slot from an image file name (e.g., "brick_normal.png" → "normal")
+ * @param {string} fileName - Image file name
+ * @returns {string} Texture slot
+ */
+function guessTextureSlot(fileName) {
+  const match = TEXTURE_SLOT_PATTERNS.find(([, pattern]) => pattern.test(fileName));
+  return match ? match[0] : 'baseColor';
+}
+
+/**
+ * Lists the dropped files, descending into dropped folders
+ * Entries must be taken from the DataTransfer synchronously, before the first await.
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @returns {Promise<Array<{file: File, path: string}>>} Files with their path relative to the drop
+ */
+async function collectDroppedFiles(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  // Without the entries API only top-level files are available
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return [...dataTransfer.files].map(file => ({ file, path: file.name }));
+  }
+
+  const files = [];
+  await Promise.all(entries.map(entry => readEntry(entry, '', files)));
+  return files;
+}
+
+/**
+ * Reads a file entry, or all files below a directory entry
+ * @param {FileSystemEntry} entry - Dropped entry
+ * @param {string} parentPath - Path of the containing folder ("" or ending in "/")
+ * @param {Array<{file: File, path: string}>} files - Collected files (appended to)
+ */
+async function readEntry(entry, parentPath, files) {
+  const path = parentPath + entry.name;
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({ file, path });
+  } else if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries() returns the folder contents in batches, ending with an empty one
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) {
+        break;
+      }
+      children.push(...batch);
+    }
+    await Promise.all(children.map(child => readEntry(child, `${path}/`, files)));
+  }
+}
+
+/**
+ * Picks the model file among the dropped files
+ * Formats are preferred in registry order (glTF first), then the least nested file.
+ * @param {Array<{file: File, path: string}>} files - Dropped files
+ * @returns {{file: File, path: string}|null} Model file, or null if none is supported
+ */
+function pickModelFile(files) {
+  const rank = ({ file, path }) => Model.FORMATS.indexOf(Model.detectFormat(path, file.type));
+  const depth = ({ path }) => path.split('/').length;
+  const candidates = files.filter(file => rank(file) !== -1);
+  candidates.sort((a, b) => rank(a) - rank(b) || depth(a) - depth(b));
+  return candidates[0] || null;
+}
+
+/**
+ * Maps a URL requested by a loader to the object URL of the matching dropped file
+ * Paths are matched exactly first; files referenced from elsewhere fall back to a file name match.
+ * @param {string} url - URL requested by the loader (a dropped path, or relative to one)
+ * @param {Map<string, string>} objectUrls - Object URLs keyed by dropped path
+ * @returns {string} Object URL, or the original URL if no dropped file matches
+ */
+function resolveDroppedUrl(url, objectUrls) {
+  if (/^(blob|data):/.test(url)) {
+    return url;
+  }
+
+  let decoded = url;
+  try {
+    decoded = decodeURI(url);
+  } catch (error) {
+    // Keep malformed URIs as they are
+  }
+
+  // Resolve "." and ".." segments (e.g., "model/../textures/albedo.png")
+  const segments = [];
+  decoded.split('/').forEach((segment) => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment !== '.' && segment !== '') {
+      segments.push(segment);
+    }
+  });
+  const path = segments.join('/');
+  if (objectUrls.has(path)) {
+    return objectUrls.get(path);
+  }
+
+  const name = segments[segments.length - 1];
+  for (const [filePath, objectUrl] of objectUrls) {
+    if (filePath.split('/').pop() === name) {
+      return objectUrl;
+    }
+  }
+  return url;
+}
@@ -40,6 +40,35 @@ export class RayPicker {
     return intersections;
   }
 
+  /**
+   * Casts a ray at the mouse position and describes the first mesh surface it hits
+   * @param {THREE.Camera} camera - The camera to cast from
+   * @param {Array<THREE.Object3D>} objects - Objects to test (children included)
+   * @param {Array<THREE.Plane>} clippingPlanes - Optional clipping planes; surfaces they cut away are skipped
+   * @returns {{object: THREE.Mesh, point: Object, normal: Object, faceIndex: number, uv: Object|null, distance: number}|null}
+   *   Hit mesh with the world-space point and normal, the face index and the UV coordinates, or null on a miss
+   */
+  pickSurface(camera, objects, clippingPlanes = []) {
+    const hit = this.getIntersections(camera, objects, true)
+      .find(intersection => intersection.object.isMesh && intersection.face &&
+        clippingPlanes.every(plane => plane.distanceToPoint(intersection.point) >= 0));
+    if (!hit) {
+      return null;
+    }
+
+    // Face normals are in the mesh's local space; the normal matrix keeps them perpendicular under non-uniform scale
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(hit.object.matrixWorld);
+    const normal = hit.face.normal.clone().applyMatrix3(normalMatrix).normalize();
+    return {
+      object: hit.object,
+      point: { x: hit.point.x, y: hit.point.y, z: hit.point.z },
+      normal: { x: normal.x, y: normal.y, z: normal.z },
+      faceIndex: hit.faceIndex,
+      uv: hit.uv ? { x: hit.uv.x, y: hit.uv.y } : null,
+      distance: hit.distance
+    };
+  }
+
   /**
    * Get the currently hovered object
    * @returns {THREE.Object3D|null} The hovered object or null
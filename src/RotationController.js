@@ -34,6 +34,10 @@ export class RotationController {
 
     // Render callback (will be set by Application)
     this.onRender = null;
+
+    // Drag lifecycle callbacks (will be set by Application, used for undo history)
+    this.onDragStart = null;
+    this.onDragEnd = null;
   }
 
   /**
@@ -54,6 +58,10 @@ export class RotationController {
 
     this.isDragging = true;
     this.startVector = this.ballLocationInCameraSpaceXYPlane(screenLocation);
+
+    if (this.onDragStart) {
+      this.onDragStart();
+    }
   }
 
   /**
@@ -93,9 +101,14 @@ export class RotationController {
    * End drag operation with velocity for momentum
    */
   endDrag(velocityInView, locationInView) {
+    const wasDragging = this.isDragging;
     this.isDragging = false;
     this.quaternionTouchDown.copy(this.quaternion);
 
+    if (wasDragging && this.onDragEnd) {
+      this.onDragEnd();
+    }
+
     // Only apply momentum if there's significant velocity
     const velocityMagnitude = Math.sqrt(velocityInView.x * velocityInView.x + velocityInView.y * velocityInView.y);
     if (velocityMagnitude < 0.1) {
@@ -235,21 +248,49 @@ export class RotationController {
    * Stop drag operation
    */
   stopDrag() {
+    const wasDragging = this.isDragging;
     this.isDragging = false;
     if (this.rotationTimer !== null) {
       clearInterval(this.rotationTimer);
       this.rotationTimer = null;
     }
     this.startVector.set(0, 0, 0);
+
+    if (wasDragging && this.onDragEnd) {
+      this.onDragEnd();
+    }
+  }
+
+  /**
+   * Re-synchronizes the arcball state with the model's current quaternion
+   * Call after the model rotation is changed from outside the controller
+   */
+  syncWithModel() {
+    this.stopDrag();
+    this.quaternion.copy(this.model.quaternion);
+    this.quaternionTouchDown.copy(this.model.quaternion);
+  }
+
+  /**
+   * Switches the controller to a different model object (e.g., after loadModel)
+   * @param {THREE.Object3D} model - Object to rotate
+   */
+  setModel(model) {
+    this.stopDrag();
+    this.model = model;
+    this.syncWithModel();
   }
 
   /**
    * Gets the model rotation as Euler angles in degrees
+   * Any object can be read or rotated without retargeting the controller, so a drag or
+   * momentum on the controller's model is not interrupted.
+   * @param {THREE.Object3D} target - Object to read (defaults to the controller's model)
    * @returns {{x: number, y: number, z: number}} Euler angles in degrees (XYZ order)
    */
-  getRotationEuler() {
+  getRotationEuler(target = this.model) {
     const euler = new THREE.Euler();
-    euler.setFromQuaternion(this.model.quaternion, 'XYZ');
+    euler.setFromQuaternion(target.quaternion, 'XYZ');
     return {
       x: THREE.MathUtils.radToDeg(euler.x),
       y: THREE.MathUtils.radToDeg(euler.y),
@@ -262,18 +303,27 @@ export class RotationController {
    * @param {number} x - Rotation around X axis in degrees (pitch)
    * @param {number} y - Rotation around Y axis in degrees (yaw)
    * @param {number} z - Rotation around Z axis in degrees (roll)
+   * @param {THREE.Object3D} target - Object to rotate (defaults to the controller's model)
    */
-  setRotationEuler(x, y, z) {
+  setRotationEuler(x, y, z, target = this.model) {
+    // Never let a bad angle turn the model quaternion into NaN
+    if (![x, y, z].every(Number.isFinite)) {
+      console.warn('Ignoring non-finite model rotation:', { x, y, z });
+      return;
+    }
+
     const euler = new THREE.Euler(
       THREE.MathUtils.degToRad(x),
       THREE.MathUtils.degToRad(y),
       THREE.MathUtils.degToRad(z),
       'XYZ'
     );
-    this.model.quaternion.setFromEuler(euler);
+    target.quaternion.setFromEuler(euler);
     // Update internal quaternion state to match
-    this.quaternion.copy(this.model.quaternion);
-    this.quaternionTouchDown.copy(this.model.quaternion);
+    if (target === this.model) {
+      this.quaternion.copy(this.model.quaternion);
+      this.quaternionTouchDown.copy(this.model.quaternion);
+    }
     
     // Trigger render if callback is set
     if (this.onRender) {
@@ -281,53 +331,91 @@ export class RotationController {
     }
   }
 
+  /**
+   * Gets the model rotation quaternion
+   * @param {THREE.Object3D} target - Object to read (defaults to the controller's model)
+   * @returns {{x: number, y: number, z: number, w: number}} Quaternion components
+   */
+  getQuaternion(target = this.model) {
+    const { x, y, z, w } = target.quaternion;
+    return { x, y, z, w };
+  }
+
+  /**
+   * Sets the model rotation from a quaternion (normalized before use)
+   * @param {{x: number, y: number, z: number, w: number}} quaternion - Quaternion components
+   * @param {THREE.Object3D} target - Object to rotate (defaults to the controller's model)
+   */
+  setQuaternion({ x, y, z, w }, target = this.model) {
+    const quaternion = new THREE.Quaternion(x, y, z, w);
+    // A zero or non-finite quaternion cannot be normalized into a rotation
+    if (![x, y, z, w].every(Number.isFinite) || quaternion.lengthSq() < 1e-12) {
+      console.warn('Ignoring invalid model quaternion:', { x, y, z, w });
+      return;
+    }
+    target.quaternion.copy(quaternion.normalize());
+    if (target === this.model) {
+      this.syncWithModel();
+    }
+
+    // Trigger render if callback is set
+    if (this.onRender) {
+      this.onRender();
+    }
+  }
+
   /**
    * Rotates the model clockwise around Y axis (yaw) relative to current rotation
    * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
+   * @param {THREE.Object3D} target - Object to rotate (defaults to the controller's model)
    */
-  rotateClockwise(degrees = 10) {
-    const current = this.getRotationEuler();
+  rotateClockwise(degrees = 10, target = this.model) {
+    const current = this.getRotationEuler(target);
     const newY = (current.y - degrees + 360) % 360;
-    this.setRotationEuler(current.x, newY, current.z);
+    this.setRotationEuler(current.x, newY, current.z, target);
   }
 
   /**
    * Rotates the model counterclockwise around Y axis (yaw) relative to current rotation
    * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
+   * @param {THREE.Object3D} target - Object to rotate (defaults to the controller's model)
    */
-  rotateCounterclockwise(degrees = 10) {
-    const current = this.getRotationEuler();
+  rotateCounterclockwise(degrees = 10, target = this.model) {
+    const current = this.getRotationEuler(target);
     const newY = (current.y + degrees) % 360;
-    this.setRotationEuler(current.x, newY, current.z);
+    this.setRotationEuler(current.x, newY, current.z, target);
   }
 
   /**
    * Adjusts the model pitch (X axis rotation) upward relative to current rotation
    * @param {number} degrees - Amount to increase pitch in degrees (defaults to 5°)
+   * @param {THREE.Object3D} target - Object to rotate (defaults to the controller's model)
    */
-  nudgePitchUp(degrees = 5) {
-    const current = this.getRotationEuler();
+  nudgePitchUp(degrees = 5, target = this.model) {
+    const current = this.getRotationEuler(target);
     const newX = current.x + degrees;
-    this.setRotationEuler(newX, current.y, current.z);
+    this.setRotationEuler(newX, current.y, current.z, target);
   }
 
   /**
    * Adjusts the model pitch (X axis rotation) downward relative to current rotation
    * @param {number} degrees - Amount to decrease pitch in degrees (defaults to 5°)
+   * @param {THREE.Object3D} target - Object to rotate (defaults to the controller's model)
    */
-  nudgePitchDown(degrees = 5) {
-    const current = this.getRotationEuler();
+  nudgePitchDown(degrees = 5, target = this.model) {
+    const current = this.getRotationEuler(target);
     const newX = current.x - degrees;
-    this.setRotationEuler(newX, current.y, current.z);
+    this.setRotationEuler(newX, current.y, current.z, target);
   }
 
   /**
    * Adjusts the model roll (Z axis rotation) relative to current rotation
    * @param {number} degrees - Amount to adjust roll in degrees (positive = clockwise, defaults to 5°)
+   * @param {THREE.Object3D} target - Object to rotate (defaults to the controller's model)
    */
-  nudgeRoll(degrees = 5) {
-    const current = this.getRotationEuler();
+  nudgeRoll(degrees = 5, target = this.model) {
+    const current = this.getRotationEuler(target);
     const newZ = (current.z + degrees + 360) % 360;
-    this.setRotationEuler(current.x, current.y, newZ);
+    this.setRotationEuler(current.x, current.y, newZ, target);
   }
 }
@@ -2,8 +2,13 @@ import * as THREE from 'three';
 import { CONFIG } from './constants.js';
 import { Model } from './Model.js';
 import { AreaLight } from './AreaLight.js';
+import { AnnotationManager } from './AnnotationManager.js';
+import { MeasurementManager } from './MeasurementManager.js';
+import { ClippingManager } from './ClippingManager.js';
+import { CommandError } from './CommandError.js';
 import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
 import { RectAreaLightHelper } from 'three/addons/helpers/RectAreaLightHelper.js';
+import { CSS2DRenderer } from 'three/addons/renderers/CSS2DRenderer.js';
 
 /**
  * Manages the Three.js scene, renderer, lights, and objects
@@ -14,18 +19,29 @@ export class SceneManager {
     this.camera = camera;
     this.scene = null;
     this.renderer = null;
-    this.model = null;
+    this.labelRenderer = null; // Draws HTML labels (annotations, measurements) over the canvas
+    // Scene registry: every model in the scene, keyed by a stable ID ("object-1", ...)
+    this.objects = new Map(); // id -> {id, name, model, loadId, modelId}
+    this.selectedObjectId = null;
+    this.nextObjectId = 1;
+    this.modelLoadId = 0; // Incremented per model load so stale loads can be discarded
     this.keyLight = null;
     this.fillLight = null;
     this.keyLightHelper = null;
     this.fillLightHelper = null;
     this.rotationController = null; // Set by Application after initialization
+    this.annotationManager = null;
+    this.measurementManager = null;
+    this.clippingManager = null;
   }
 
-  async initialize() {
+  /**
+   * @param {string} modelUrl - Optional model URL (falls back to the bundled model if it fails to load)
+   */
+  async initialize(modelUrl = null) {
     this._createScene();
     this._createRenderer();
-    await this._createModel();
+    await this._createModel(modelUrl);
     this._createLights();
   }
 
@@ -34,17 +50,302 @@ export class SceneManager {
   }
 
   _createRenderer() {
-    this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas });
+    // The stencil buffer is used to fill clipping plane cuts
+    this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, stencil: true });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.renderer.localClippingEnabled = true;
     
     // Initialize RectAreaLight uniforms library (required for area lights)
     RectAreaLightUniformsLib.init();
+
+    // Annotation and measurement labels are HTML elements on a layer over the canvas
+    this.labelRenderer = new CSS2DRenderer();
+    this.labelRenderer.setSize(window.innerWidth, window.innerHeight);
+    this.labelRenderer.domElement.className = 'label-layer';
+    this.canvas.parentElement.appendChild(this.labelRenderer.domElement);
+    this.annotationManager = new AnnotationManager();
+    this.measurementManager = new MeasurementManager(this.scene);
+    this.clippingManager = new ClippingManager(this.scene);
+  }
+
+  async _createModel(modelUrl) {
+    let model = new Model();
+    if (modelUrl) {
+      try {
+        await model.load(modelUrl);
+      } catch (error) {
+        console.warn(`Could not load model from ${modelUrl}, using the default model instead:`, error);
+        model = new Model();
+      }
+    }
+    if (!model.getObject()) {
+      await model.load();
+    }
+    this.selectedObjectId = this._registerModel(model).id;
+  }
+
+  /**
+   * Adds a model to the scene registry under a new ID
+   * @param {Model} model - Loaded model
+   * @param {string} name - Display name (defaults to the model's file name)
+   * @returns {Object} Registry entry ({id, name, model, loadId, modelId})
+   */
+  _registerModel(model, name = null) {
+    const id = `object-${this.nextObjectId++}`;
+    // loadId is the latest load started into the object, modelId the load that produced the model it shows
+    const entry = { id, name: name || model.getName(), model, loadId: 0, modelId: ++this.modelLoadId };
+    this.objects.set(id, entry);
+    this.scene.add(model.getObject());
+    return entry;
+  }
+
+  /**
+   * Gets the registry entry of an object
+   * @param {string} objectId - Object ID (defaults to the selected object)
+   * @returns {Object} Registry entry
+   * @throws {CommandError} NOT_FOUND listing the object IDs when no object has that ID
+   */
+  _getEntry(objectId = null) {
+    const entry = this.objects.get(objectId || this.selectedObjectId);
+    if (!entry) {
+      throw new CommandError(CommandError.NOT_FOUND, `No object with ID "${objectId}"`, { objectId, objects: [...this.objects.keys()] });
+    }
+    return entry;
+  }
+
+  /**
+   * Gets the Model of an object
+   * @param {string} objectId - Object ID (defaults to the selected object)
+   * @returns {Model} Model instance
+   */
+  _getModel(objectId = null) {
+    return this._getEntry(objectId).model;
+  }
+
+  /**
+   * Summarizes a loaded object for command results
+   * @param {Object} entry - Registry entry
+   * @returns {{id: string, name: string, url: string, format: string, stats: Object, bounds: Object}} Summary
+   *   with world-space bounds
+   */
+  _describeObject({ id, name, model }) {
+    return {
+      id,
+      name,
+      url: model.getUrl(),
+      format: model.getFormat(),
+      stats: model.getStats(),
+      bounds: model.getBounds()
+    };
+  }
+
+  /**
+   * Checks whether an object ID is in the scene
+   * @param {string} objectId - Object ID
+   * @returns {boolean} True if the object exists
+   */
+  hasObject(objectId) {
+    return this.objects.has(objectId);
+  }
+
+  /**
+   * Lists the objects in the scene
+   * @returns {Array<{id: string, name: string, url: string, format: string, selected: boolean}>} Objects in the
+   *   order they were added
+   */
+  listObjects() {
+    return [...this.objects.values()].map(({ id, name, model }) => ({
+      id,
+      name,
+      url: model.getUrl(),
+      format: model.getFormat(),
+      selected: id === this.selectedObjectId
+    }));
+  }
+
+  /**
+   * Gets the root objects of every model, for picking
+   * @returns {Array<THREE.Object3D>} Model roots
+   */
+  getObjectRoots() {
+    return [...this.objects.values()].map(({ model }) => model.getObject());
+  }
+
+  /**
+   * Finds the object (and part) a node belongs to, e.g., a mesh hit by a pick ray
+   * @param {THREE.Object3D} node - Node in the scene
+   * @returns {{objectId: string, objectName: string, part: string|null}|null} Owning object, or null if the node
+   *   is not part of a model
+   */
+  findObjectOfNode(node) {
+    for (const { id, name, model } of this.objects.values()) {
+      const root = model.getObject();
+      let current = node;
+      while (current && current !== root) {
+        current = current.parent;
+      }
+      if (current) {
+        return { objectId: id, objectName: name, part: model.getPartNameOf(node) };
+      }
+    }
+    return null;
   }
 
-  async _createModel() {
-    this.model = new Model();
-    await this.model.load();
-    this.scene.add(this.model.getMesh());
+  /**
+   * Gets the ID of the selected object (the default target of model commands and of dragging)
+   * @returns {string} Object ID
+   */
+  getSelectedObjectId() {
+    return this.selectedObjectId;
+  }
+
+  /**
+   * Selects the object that model commands target by default and that dragging rotates
+   * @param {string} objectId - Object ID
+   */
+  selectObject(objectId) {
+    const entry = this._getEntry(objectId);
+    this.selectedObjectId = entry.id;
+    if (this.rotationController) {
+      this.rotationController.setModel(entry.model.getObject());
+    }
+  }
+
+  /**
+   * Removes an object from the scene and frees its GPU resources
+   * Removing the selected object selects the first remaining one.
+   * @param {string} objectId - Object ID
+   * @throws {CommandError} LIMIT_REACHED when the object is the only one left (the viewer always shows a model)
+   */
+  removeObject(objectId) {
+    const entry = this._getEntry(objectId);
+    if (this.objects.size === 1) {
+      throw new CommandError(CommandError.LIMIT_REACHED, 'Cannot remove the only object in the scene', { objectId: entry.id, minimum: 1 });
+    }
+
+    this.annotationManager.clear(entry.id);
+    this.measurementManager.clear(entry.id);
+    this.clippingManager.clear(entry.id);
+    this.objects.delete(entry.id);
+    this.scene.remove(entry.model.getObject());
+    entry.model.dispose();
+    if (entry.id === this.selectedObjectId) {
+      this.selectObject(this.objects.keys().next().value);
+    }
+    this.render(this.camera);
+  }
+
+  /**
+   * Loads a model file and adds it to the scene as a new object, leaving the others in place
+   * @param {string} url - URL of the model file (glTF/GLB, OBJ, STL, PLY or FBX)
+   * @param {Object} options - Load options passed to Model.load(), plus name (display name),
+   *   select: true to make it the selected object and frame: false to keep the camera where it is
+   * @returns {Promise<Object>} Summary of the new object ({id, name, url, format, stats, bounds})
+   */
+  async addModel(url, options = {}) {
+    const model = new Model();
+    await model.load(url, options);
+
+    const entry = this._registerModel(model, options.name);
+    if (options.select) {
+      this.selectObject(entry.id);
+    }
+    if (options.frame !== false) {
+      this.frameModel(entry.id);
+    }
+    this.render(this.camera);
+    return this._describeObject(entry);
+  }
+
+  /**
+   * Replaces an object's model with one loaded from a URL
+   * Keeps the object ID, scale and rotation, and the current color unless the new model keeps
+   * its own materials (preserveHierarchy). The old model is only removed and disposed once
+   * the new one has loaded, so a failed load leaves the scene untouched.
+   * @param {string} url - URL of the model file (glTF/GLB, OBJ, STL, PLY or FBX)
+   * @param {Object} options - Load options passed to Model.load() (format, mimeType, preserveHierarchy, name,
+   *   manager, local, normalizeSize), plus objectId (defaults to the selected object) and frame: false
+   *   to keep the camera where it is
+   * @returns {Promise<Object>} Summary of the object ({id, name, url, format, stats, bounds})
+   */
+  async loadModel(url, options = {}) {
+    const entry = this._getEntry(options.objectId);
+    const loadId = ++this.modelLoadId;
+    entry.loadId = loadId;
+    const model = new Model();
+    await model.load(url, options);
+
+    // Another load into this object started while this one was in flight (it wins), or the object was removed
+    if (entry.loadId !== loadId || this.objects.get(entry.id) !== entry) {
+      model.dispose();
+      throw new Error(`Loading ${url} was superseded by a newer model load or the object was removed`);
+    }
+
+    const previous = entry.model;
+    const previousObject = previous.getObject();
+    const object = model.getObject();
+    if (!model.preservesHierarchy()) {
+      model.getMaterial().color.copy(previous.getMaterial().color);
+    }
+    object.scale.copy(previousObject.scale);
+    object.quaternion.copy(previousObject.quaternion);
+    // The new model is centred where the old one was (its pivot starts at the centre)
+    object.position.copy(previous.getCenter());
+
+    // Annotations and measurements were pinned to the old geometry
+    this.annotationManager.clear(entry.id);
+    this.measurementManager.clear(entry.id);
+    this.scene.remove(previousObject);
+    previous.dispose();
+    entry.model = model;
+    entry.modelId = loadId;
+    this.clippingManager.replaceModel(entry.id, model);
+    entry.name = model.getName();
+    this.scene.add(object);
+
+    if (this.rotationController && entry.id === this.selectedObjectId) {
+      this.rotationController.setModel(object);
+    }
+    if (options.frame !== false) {
+      this.frameModel(entry.id);
+    }
+    this.render(this.camera);
+
+    return this._describeObject(entry);
+  }
+
+  /**
+   * Describes a model's geometry (counts, attributes, watertightness, bounds, surface area and volume)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {Object} Geometry information with the object's id and name (see Model.getGeometryInfo)
+   */
+  getModelInfo(objectId = null) {
+    const { id, name, model } = this._getEntry(objectId);
+    return { id, name, ...model.getGeometryInfo() };
+  }
+
+  /**
+   * Dollies the camera so a whole model is in view
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {{distance: number, radius: number}} New camera distance and the model's bounding sphere radius
+   */
+  frameModel(objectId = null) {
+    const sphere = this._getModel(objectId).getBoundingSphere();
+    let distance = this.getCameraDistance();
+    if (this.cameraController) {
+      distance = this.cameraController.fitToSphere(sphere.center, sphere.radius);
+      this.render(this.camera);
+    }
+    return { distance, radius: sphere.radius };
+  }
+
+  /**
+   * Gets the URL a model was loaded from
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {string|null} Model URL, or null for a dropped local file
+   */
+  getModelUrl(objectId = null) {
+    return this._getModel(objectId).getUrl();
   }
 
   _createLights() {
@@ -79,15 +380,37 @@ export class SceneManager {
   }
 
   render(camera) {
+    this._syncLightPivot();
+    this.measurementManager.update();
+    this.clippingManager.updatePlanes(camera, this.getObjectRoots());
     this.renderer.render(this.scene, camera);
+    this.annotationManager.updateVisibility(camera);
+    this.labelRenderer.render(this.scene, camera);
+  }
+
+  /**
+   * Keeps the area lights orbiting the selected model's centre as it moves, rotates or changes pivot
+   */
+  _syncLightPivot() {
+    if (!this.keyLight || !this.fillLight) {
+      return;
+    }
+    const center = this._getModel().getCenter();
+    this.keyLight.setPivot(center);
+    this.fillLight.setPivot(center);
   }
 
   handleResize() {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.labelRenderer.setSize(window.innerWidth, window.innerHeight);
   }
 
+  /**
+   * Gets the root object of the selected model
+   * @returns {THREE.Object3D} Model root
+   */
   getModel() {
-    return this.model.getMesh();
+    return this._getModel().getObject();
   }
 
   // Camera control methods
@@ -192,43 +515,51 @@ export class SceneManager {
 
   // Model rotation control methods
 
+  /**
+   * Gets the object a rotation command turns
+   * The rotation controller is handed the object rather than retargeted, so rotating
+   * another object does not cancel a drag or momentum on the selected one.
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {THREE.Object3D} Root object of the model
+   */
+  _getRotationTarget(objectId) {
+    return this._getModel(objectId).getObject();
+  }
+
   /**
    * Gets the model rotation as Euler angles in degrees
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    * @returns {{x: number, y: number, z: number}} Euler angles in degrees (XYZ order)
    */
-  getModelRotation() {
+  getModelRotation(objectId = null) {
     if (this.rotationController) {
-      return this.rotationController.getRotationEuler();
+      return this.rotationController.getRotationEuler(this._getRotationTarget(objectId));
     }
     return { x: 0, y: 0, z: 0 };
   }
 
   /**
    * Gets the current model color
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    * @returns {string} Hex color code (e.g., "#ff0000")
    */
-  getModelColor() {
-    if (this.model) {
-      const color = this.model.getMaterial().color;
-      return '#' + color.getHexString().padStart(6, '0');
-    }
-    return '#808080'; // Default color
+  getModelColor(objectId = null) {
+    const color = this._getModel(objectId).getMaterial().color;
+    return '#' + color.getHexString().padStart(6, '0');
   }
 
   /**
    * Gets the current model scale in each dimension
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    * @returns {{x: number, y: number, z: number}} Scale factors (positive numbers)
    */
-  getModelScale() {
-    if (this.model) {
-      const scale = this.model.getMesh().scale;
-      return {
-        x: scale.x,
-        y: scale.y,
-        z: scale.z
-      };
-    }
-    return { x: 1, y: 1, z: 1 }; // Default scale
+  getModelScale(objectId = null) {
+    const scale = this._getModel(objectId).getObject().scale;
+    return {
+      x: scale.x,
+      y: scale.y,
+      z: scale.z
+    };
   }
 
   /**
@@ -236,22 +567,48 @@ export class SceneManager {
    * @param {number} x - Rotation around X axis in degrees (pitch)
    * @param {number} y - Rotation around Y axis in degrees (yaw)
    * @param {number} z - Rotation around Z axis in degrees (roll)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    */
-  setModelRotation(x, y, z) {
+  setModelRotation(x, y, z, objectId = null) {
     if (this.rotationController) {
-      this.rotationController.setRotationEuler(x, y, z);
+      this.rotationController.setRotationEuler(x, y, z, this._getRotationTarget(objectId));
       // Trigger render after rotation change
       this.render(this.camera);
     }
   }
 
+  /**
+   * Gets the model rotation quaternion
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {{x: number, y: number, z: number, w: number}} Quaternion components
+   */
+  getModelQuaternion(objectId = null) {
+    if (this.rotationController) {
+      return this.rotationController.getQuaternion(this._getRotationTarget(objectId));
+    }
+    return { x: 0, y: 0, z: 0, w: 1 };
+  }
+
+  /**
+   * Sets the model rotation from a quaternion
+   * @param {{x: number, y: number, z: number, w: number}} quaternion - Quaternion components
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   */
+  setModelQuaternion(quaternion, objectId = null) {
+    if (this.rotationController) {
+      this.rotationController.setQuaternion(quaternion, this._getRotationTarget(objectId));
+      this.render(this.camera);
+    }
+  }
+
   /**
    * Rotates the model clockwise around Y axis (yaw) relative to current rotation
    * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    */
-  rotateModelClockwise(degrees = 10) {
+  rotateModelClockwise(degrees = 10, objectId = null) {
     if (this.rotationController) {
-      this.rotationController.rotateClockwise(degrees);
+      this.rotationController.rotateClockwise(degrees, this._getRotationTarget(objectId));
       this.render(this.camera);
     }
   }
@@ -259,10 +616,11 @@ export class SceneManager {
   /**
    * Rotates the model counterclockwise around Y axis (yaw) relative to current rotation
    * @param {number} degrees - Amount to rotate in degrees (defaults to 10°)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    */
-  rotateModelCounterclockwise(degrees = 10) {
+  rotateModelCounterclockwise(degrees = 10, objectId = null) {
     if (this.rotationController) {
-      this.rotationController.rotateCounterclockwise(degrees);
+      this.rotationController.rotateCounterclockwise(degrees, this._getRotationTarget(objectId));
       this.render(this.camera);
     }
   }
@@ -270,10 +628,11 @@ export class SceneManager {
   /**
    * Adjusts the model pitch (X axis rotation) upward relative to current rotation
    * @param {number} degrees - Amount to increase pitch in degrees (defaults to 5°)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    */
-  nudgeModelPitchUp(degrees = 5) {
+  nudgeModelPitchUp(degrees = 5, objectId = null) {
     if (this.rotationController) {
-      this.rotationController.nudgePitchUp(degrees);
+      this.rotationController.nudgePitchUp(degrees, this._getRotationTarget(objectId));
       this.render(this.camera);
     }
   }
@@ -281,10 +640,11 @@ export class SceneManager {
   /**
    * Adjusts the model pitch (X axis rotation) downward relative to current rotation
    * @param {number} degrees - Amount to decrease pitch in degrees (defaults to 5°)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    */
-  nudgeModelPitchDown(degrees = 5) {
+  nudgeModelPitchDown(degrees = 5, objectId = null) {
     if (this.rotationController) {
-      this.rotationController.nudgePitchDown(degrees);
+      this.rotationController.nudgePitchDown(degrees, this._getRotationTarget(objectId));
       this.render(this.camera);
     }
   }
@@ -292,38 +652,136 @@ export class SceneManager {
   /**
    * Adjusts the model roll (Z axis rotation) relative to current rotation
    * @param {number} degrees - Amount to adjust roll in degrees (positive = clockwise, defaults to 5°)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    */
-  nudgeModelRoll(degrees = 5) {
+  nudgeModelRoll(degrees = 5, objectId = null) {
     if (this.rotationController) {
-      this.rotationController.nudgeRoll(degrees);
+      this.rotationController.nudgeRoll(degrees, this._getRotationTarget(objectId));
       this.render(this.camera);
     }
   }
 
   /**
-   * Gets the model instance for full manipulation access
+   * Gets a model instance for full manipulation access
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    * @returns {Model} The model instance
    */
-  getModelInstance() {
-    return this.model;
+  getModelInstance(objectId = null) {
+    return this._getModel(objectId);
   }
 
   /**
    * Changes the color of the model
+   * With a preserved hierarchy this tints every material (or only those of one part);
+   * textures are multiplied by the color, so white restores their original look.
    * @param {string} color - Hex color string (e.g., "#ff0000")
+   * @param {string} part - Optional name of the part to tint (see getModelPartNames)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {boolean} False if no part has that name
    */
-  changeModelColor(color) {
+  changeModelColor(color, part = null, objectId = null) {
+    const materials = this._getModel(objectId).getMaterials(part);
+    if (!materials) {
+      return false;
+    }
     const hexColor = parseInt(color.replace('#', ''), 16);
-    this.model.getMaterial().color.setHex(hexColor);
+    materials.forEach(material => material.color.setHex(hexColor));
+    return true;
+  }
+
+  /**
+   * Gets the model's surface properties (roughness, metalness, opacity, emissive, shading, wireframe, side)
+   * @param {string} part - Optional name of the part to read (see getModelPartNames)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {Object|null} Material properties, or null if no part has that name
+   */
+  getModelMaterial(part = null, objectId = null) {
+    return this._getModel(objectId).getMaterialProperties(part);
+  }
+
+  /**
+   * Sets surface properties on the model's materials
+   * @param {Object} properties - Any of roughness, metalness, opacity, emissive, emissiveIntensity,
+   *   flatShading, wireframe and side
+   * @param {string} part - Optional name of the part to change (see getModelPartNames)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {boolean} False if no part has that name
+   */
+  setModelMaterial(properties, part = null, objectId = null) {
+    const changed = this._getModel(objectId).setMaterialProperties(properties, part);
+    this.render(this.camera);
+    return changed;
+  }
+
+  /**
+   * Loads an image into one of the model's texture slots
+   * @param {string} slot - Texture slot ("baseColor", "normal", "roughness" or "ao")
+   * @param {string} url - Image URL
+   * @param {Object} options - Optional name and part (see Model.loadTexture)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {Promise<boolean>} False if no part has that name
+   */
+  async loadModelTexture(slot, url, options = {}, objectId = null) {
+    const applied = await this._getModel(objectId).loadTexture(slot, url, options);
+    this.render(this.camera);
+    return applied;
+  }
+
+  /**
+   * Removes the map in one of the model's texture slots
+   * @param {string} slot - Texture slot
+   * @param {string} part - Optional name of the part to clear
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {boolean} False if no part has that name
+   */
+  clearModelTexture(slot, part = null, objectId = null) {
+    const cleared = this._getModel(objectId).clearTexture(slot, part);
+    this.render(this.camera);
+    return cleared;
+  }
+
+  /**
+   * Updates the UV transform (repeat, offset, rotation) of applied textures
+   * @param {Object} transform - Any of repeat {x, y}, offset {x, y} and rotation (degrees)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {Object} Resulting transform
+   */
+  setModelTextureTransform(transform, objectId = null) {
+    const model = this._getModel(objectId);
+    model.setUvTransform(transform);
+    this.render(this.camera);
+    return model.getUvTransform();
+  }
+
+  /**
+   * Gets the model's maps per texture slot and the UV transform of applied textures
+   * @param {string} part - Optional name of the part to read
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {{maps: Object, transform: Object}|null} Texture state, or null if no part has that name
+   */
+  getModelTextures(part = null, objectId = null) {
+    const model = this._getModel(objectId);
+    const maps = model.getTextures(part);
+    return maps ? { maps, transform: model.getUvTransform() } : null;
+  }
+
+  /**
+   * Gets the names of the model parts that changeModelColor can target
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {Array<string>} Part names (empty unless the hierarchy is preserved)
+   */
+  getModelPartNames(objectId = null) {
+    return this._getModel(objectId).getPartNames();
   }
 
   /**
    * Changes the uniform size of the model by scaling
    * @param {number} size - New size value (scale factor)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
    */
-  changeModelSize(size) {
+  changeModelSize(size, objectId = null) {
     // Use uniform scale instead of geometry recreation for GLTF models
-    this.model.getMesh().scale.set(size, size, size);
+    this._getModel(objectId).getObject().scale.set(size, size, size);
   }
 
   /**
@@ -331,9 +789,367 @@ export class SceneManager {
    * @param {number} x - Scale factor for X axis
    * @param {number} y - Scale factor for Y axis
    * @param {number} z - Scale factor for Z axis
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   */
+  scaleModel(x, y, z, objectId = null) {
+    this._getModel(objectId).getObject().scale.set(x, y, z);
+  }
+
+  // Annotation methods
+
+  /**
+   * Pins a labelled marker to a point on a model
+   * @param {Object} annotation - Annotation fields
+   * @param {{x: number, y: number, z: number}} annotation.point - World-space point on the surface
+   * @param {{x: number, y: number, z: number}} annotation.normal - Optional world-space surface normal (defaults to
+   *   the direction from the model centre to the point)
+   * @param {string} annotation.text - Label text
+   * @param {string} annotation.color - Optional marker color
+   * @param {string} annotation.id - Optional ID to reuse (when restoring a scene state)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {Object} The annotation ({id, objectId, text, color, point, normal} in world space)
+   */
+  addAnnotation({ point, normal = null, text, color = CONFIG.ANNOTATION.COLOR, id = null }, objectId = null) {
+    const entry = this._getEntry(objectId);
+    const center = entry.model.getCenter();
+    const annotation = this.annotationManager.add({
+      objectId: entry.id,
+      root: entry.model.getObject(),
+      point,
+      normal: normal || { x: point.x - center.x, y: point.y - center.y, z: point.z - center.z },
+      text,
+      color,
+      id
+    });
+    this.render(this.camera);
+    return annotation;
+  }
+
+  /**
+   * Changes the text or color of an annotation
+   * @param {string} id - Annotation ID
+   * @param {{text: string, color: string}} changes - Fields to change
+   * @returns {Object|null} The updated annotation, or null if no annotation has that ID
+   */
+  updateAnnotation(id, changes) {
+    const annotation = this.annotationManager.update(id, changes);
+    this.render(this.camera);
+    return annotation;
+  }
+
+  /**
+   * Removes an annotation
+   * @param {string} id - Annotation ID
+   * @returns {boolean} False if no annotation has that ID
+   */
+  removeAnnotation(id) {
+    const removed = this.annotationManager.remove(id);
+    this.render(this.camera);
+    return removed;
+  }
+
+  /**
+   * Removes every annotation, or those of one object
+   * @param {string} objectId - Optional object ID
+   * @returns {number} Number of annotations removed
+   */
+  clearAnnotations(objectId = null) {
+    const count = this.annotationManager.clear(objectId);
+    this.render(this.camera);
+    return count;
+  }
+
+  /**
+   * Lists the annotations
+   * @returns {Array<Object>} Annotations ({id, objectId, text, color, point, normal} in world space)
+   */
+  listAnnotations() {
+    return this.annotationManager.list();
+  }
+
+  /**
+   * Replaces every annotation (e.g., from a scene state)
+   * Annotations of objects that are not in the scene are skipped.
+   * @param {Array<Object>} annotations - Annotations in the listAnnotations() shape (id and normal optional)
+   */
+  setAnnotations(annotations) {
+    this.annotationManager.clear();
+    annotations
+      .filter(({ objectId }) => !objectId || this.objects.has(objectId))
+      .forEach(({ objectId, ...annotation }) => this.addAnnotation(annotation, objectId));
+  }
+
+  // Measurement methods
+
+  /**
+   * Measures between points on a model
+   * @param {string} type - Measurement type ("distance", "angle" with the vertex as the middle point, or "area")
+   * @param {Array<{x: number, y: number, z: number}>} points - World-space points
+   * @param {string} objectId - Optional ID of the object the points are pinned to (defaults to the selected object)
+   * @returns {Object} The measurement ({id, type, value, points})
+   */
+  measure(type, points, objectId = null) {
+    const entry = this._getEntry(objectId);
+    const root = entry.model.getObject();
+    const measurement = this.measurementManager.add(type, points.map(point => ({ objectId: entry.id, root, point })));
+    this.render(this.camera);
+    return measurement;
+  }
+
+  /**
+   * Adds a picked point to the measurement being built in the viewer
+   * @param {{x: number, y: number, z: number}} point - World-space point
+   * @param {string} objectId - ID of the object the point is on
+   * @returns {number} Number of points picked so far
+   */
+  addPendingMeasurementPoint(point, objectId) {
+    const count = this.measurementManager.addPendingPoint(objectId, this._getModel(objectId).getObject(), point);
+    this.render(this.camera);
+    return count;
+  }
+
+  /**
+   * Turns the picked points into a measurement
+   * @param {string} type - Measurement type
+   * @returns {Object|null} The measurement, or null if too few points were picked
+   */
+  completeMeasurement(type) {
+    const measurement = this.measurementManager.completePending(type);
+    this.render(this.camera);
+    return measurement;
+  }
+
+  /**
+   * Discards the points picked for an unfinished measurement
+   */
+  cancelMeasurement() {
+    this.measurementManager.clearPending();
+    this.render(this.camera);
+  }
+
+  /**
+   * Removes a measurement
+   * @param {string} id - Measurement ID
+   * @returns {boolean} False if no measurement has that ID
+   */
+  removeMeasurement(id) {
+    const removed = this.measurementManager.remove(id);
+    this.render(this.camera);
+    return removed;
+  }
+
+  /**
+   * Removes every measurement, or those with a point on one object
+   * @param {string} objectId - Optional object ID
+   * @returns {number} Number of measurements removed
+   */
+  clearMeasurements(objectId = null) {
+    const count = this.measurementManager.clear(objectId);
+    this.render(this.camera);
+    return count;
+  }
+
+  /**
+   * Lists the measurements with their current values
+   * @returns {Array<Object>} Measurements ({id, type, value, points})
+   */
+  listMeasurements() {
+    return this.measurementManager.list();
+  }
+
+  // Clipping plane methods
+
+  /**
+   * Adds a clipping plane through a model
+   * @param {Object} definition - Plane definition ({axis, normal, offset, relativeTo, cap, capColor, id}; see
+   *   ClippingManager.add)
+   * @param {string} objectId - Optional ID of the object the plane is anchored to (defaults to the selected object)
+   * @returns {Object} The plane ({id, objectId, axis, normal, offset, relativeTo, cap, capColor})
+   */
+  addClippingPlane(definition, objectId = null) {
+    const entry = this._getEntry(objectId);
+    const plane = this.clippingManager.add({ ...definition, objectId: entry.id, model: entry.model });
+    this.render(this.camera);
+    return plane;
+  }
+
+  /**
+   * Changes a clipping plane
+   * @param {string} id - Plane ID
+   * @param {Object} changes - Any of axis, normal, offset, relativeTo, cap and capColor
+   * @returns {Object|null} The updated plane, or null if no plane has that ID
+   */
+  updateClippingPlane(id, changes) {
+    const plane = this.clippingManager.update(id, changes);
+    this.render(this.camera);
+    return plane;
+  }
+
+  /**
+   * Removes a clipping plane
+   * @param {string} id - Plane ID
+   * @returns {boolean} False if no plane has that ID
+   */
+  removeClippingPlane(id) {
+    const removed = this.clippingManager.remove(id);
+    this.render(this.camera);
+    return removed;
+  }
+
+  /**
+   * Removes every clipping plane, or those anchored to one object
+   * @param {string} objectId - Optional object ID
+   * @returns {number} Number of planes removed
    */
-  scaleModel(x, y, z) {
-    this.model.getMesh().scale.set(x, y, z);
+  clearClippingPlanes(objectId = null) {
+    const count = this.clippingManager.clear(objectId);
+    this.render(this.camera);
+    return count;
+  }
+
+  /**
+   * Gets one clipping plane
+   * @param {string} id - Plane ID
+   * @returns {Object|null} The plane, or null if no plane has that ID
+   */
+  getClippingPlane(id) {
+    return this.clippingManager.get(id);
+  }
+
+  /**
+   * Lists the clipping planes
+   * @returns {Array<Object>} Planes ({id, objectId, axis, normal, offset, relativeTo, cap, capColor})
+   */
+  listClippingPlanes() {
+    return this.clippingManager.list();
+  }
+
+  /**
+   * Gets the world-space planes currently cutting the models (e.g., to skip cut-away surfaces when picking)
+   * @returns {Array<THREE.Plane>} Planes
+   */
+  getActiveClippingPlanes() {
+    return this.clippingManager.getActivePlanes();
+  }
+
+  /**
+   * Replaces every clipping plane (e.g., from a scene state)
+   * Planes anchored to objects that are not in the scene are skipped.
+   * @param {Array<Object>} planes - Planes in the listClippingPlanes() shape (id optional)
+   */
+  setClippingPlanes(planes) {
+    this.clippingManager.clear();
+    planes
+      .filter(({ objectId }) => !objectId || this.objects.has(objectId))
+      .forEach(({ objectId, ...definition }) => this.addClippingPlane(definition, objectId));
+  }
+
+  // Animation methods
+
+  /**
+   * Gets the controller that plays a model's animation clips
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {AnimationController} Animation controller (without clips for static models)
+   */
+  getModelAnimation(objectId = null) {
+    return this._getModel(objectId).getAnimation();
+  }
+
+  /**
+   * Describes where a model's animation is
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {Object|null} Playback state ({clip, time, duration, playing, loop, speed}), or null if the
+   *   model has no clips
+   */
+  getAnimationState(objectId = null) {
+    const animation = this.getModelAnimation(objectId);
+    return animation.hasClips() ? animation.getState() : null;
+  }
+
+  /**
+   * Advances the animations of every model
+   * @param {number} delta - Seconds since the last frame
+   */
+  updateAnimations(delta) {
+    this.objects.forEach(({ model }) => model.getAnimation().update(delta));
+  }
+
+  // Model position and pivot methods
+
+  /**
+   * Gets the model position (where its pivot is in the world)
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {{x: number, y: number, z: number}} World position
+   */
+  getModelPosition(objectId = null) {
+    const { x, y, z } = this._getModel(objectId).getObject().position;
+    return { x, y, z };
+  }
+
+  /**
+   * Moves the model so its pivot is at a world position
+   * Each coordinate is clamped to ±CONFIG.MODEL.MAX_POSITION.
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   */
+  setModelPosition(x, y, z, objectId = null) {
+    const limit = CONFIG.MODEL.MAX_POSITION;
+    const clamp = value => THREE.MathUtils.clamp(value, -limit, limit);
+    this._getModel(objectId).getObject().position.set(clamp(x), clamp(y), clamp(z));
+    this.render(this.camera);
+  }
+
+  /**
+   * Moves the model by an offset
+   * @param {number} x - Offset along X (world) or to the right (camera)
+   * @param {number} y - Offset along Y (world) or up (camera)
+   * @param {number} z - Offset along Z (world) or toward the viewer (camera)
+   * @param {string} relativeTo - "world" for world axes, "camera" for screen directions
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   */
+  translateModel(x, y, z, relativeTo = 'world', objectId = null) {
+    const offset = new THREE.Vector3(x, y, z);
+    if (relativeTo === 'camera') {
+      offset.applyQuaternion(this.camera.getWorldQuaternion(new THREE.Quaternion()));
+    }
+    const position = this._getModel(objectId).getObject().position.clone().add(offset);
+    this.setModelPosition(position.x, position.y, position.z, objectId);
+  }
+
+  /**
+   * Gets the model's rotation pivot
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   * @returns {{x: number, y: number, z: number}} Pivot relative to the bounding-box centre, in model units
+   */
+  getModelPivot(objectId = null) {
+    return this._getModel(objectId).getPivot();
+  }
+
+  /**
+   * Moves the point the model rotates and scales around, without moving the model on screen
+   * @param {number} x - X offset from the bounding-box centre, in model units
+   * @param {number} y - Y offset from the bounding-box centre, in model units
+   * @param {number} z - Z offset from the bounding-box centre, in model units
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   */
+  setModelPivot(x, y, z, objectId = null) {
+    this._getModel(objectId).setPivot({ x, y, z });
+    this.render(this.camera);
+  }
+
+  /**
+   * Puts the model back at the origin, unrotated, at the initial scale and with its pivot at the centre
+   * @param {string} objectId - Optional object ID (defaults to the selected object)
+   */
+  resetModelTransform(objectId = null) {
+    const model = this._getModel(objectId);
+    model.resetTransform();
+    if (this.rotationController && model.getObject() === this.getModel()) {
+      this.rotationController.syncWithModel();
+    }
+    this.render(this.camera);
   }
 
   /**
@@ -367,8 +1183,8 @@ export class SceneManager {
 
   setKeyLightPosition(x, y, z) {
     if (this.keyLight) {
-      // Convert world position to relative position (relative to model origin)
-      const origin = CONFIG.MODEL.ORIGIN;
+      // Convert world position to relative position (relative to the light pivot)
+      const origin = this.keyLight.getPivot();
       const relativeX = x - origin.x;
       const relativeY = y - origin.y;
       const relativeZ = z - origin.z;
@@ -376,8 +1192,7 @@ export class SceneManager {
       // Set position relative to parent group
       this.keyLight.getLightObject().position.set(relativeX, relativeY, relativeZ);
       // Re-orient toward target (world coordinates)
-      const target = CONFIG.LIGHTING.KEY_LIGHT.TARGET || { x: 0, y: 0, z: 0 };
-      this.keyLight.getLightObject().lookAt(target.x, target.y, target.z);
+      this.keyLight.aimAtTarget();
     }
   }
 
@@ -392,8 +1207,7 @@ export class SceneManager {
 
   setKeyLightSize(width, height) {
     if (this.keyLight) {
-      this.keyLight.getLightObject().width = width;
-      this.keyLight.getLightObject().height = height;
+      this.keyLight.setSize(width, height);
     }
   }
 
@@ -468,8 +1282,8 @@ export class SceneManager {
 
   setFillLightPosition(x, y, z) {
     if (this.fillLight) {
-      // Convert world position to relative position (relative to model origin)
-      const origin = CONFIG.MODEL.ORIGIN;
+      // Convert world position to relative position (relative to the light pivot)
+      const origin = this.fillLight.getPivot();
       const relativeX = x - origin.x;
       const relativeY = y - origin.y;
       const relativeZ = z - origin.z;
@@ -477,8 +1291,7 @@ export class SceneManager {
       // Set position relative to parent group
       this.fillLight.getLightObject().position.set(relativeX, relativeY, relativeZ);
       // Re-orient toward target (world coordinates)
-      const target = CONFIG.LIGHTING.FILL_LIGHT.TARGET || { x: 0, y: 0, z: 0 };
-      this.fillLight.getLightObject().lookAt(target.x, target.y, target.z);
+      this.fillLight.aimAtTarget();
     }
   }
 
@@ -493,8 +1306,7 @@ export class SceneManager {
 
   setFillLightSize(width, height) {
     if (this.fillLight) {
-      this.fillLight.getLightObject().width = width;
-      this.fillLight.getLightObject().height = height;
+      this.fillLight.setSize(width, height);
     }
   }
 
@@ -782,6 +1594,81 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Captures the exact scene state (objects with their animation playback, background, lights, camera)
+   * Used to roll back failed batches without going through the public state shape
+   * @returns {Object} Opaque snapshot for restoreSnapshot()
+   */
+  captureSnapshot() {
+    return {
+      // Per object and per material so tinted parts of a preserved hierarchy round-trip
+      objects: [...this.objects.values()].map(({ id, model, modelId }) => ({
+        id,
+        modelId,
+        materials: model.captureMaterials(),
+        scale: model.getObject().scale.clone(),
+        quaternion: model.getObject().quaternion.clone(),
+        position: model.getObject().position.clone(),
+        pivot: model.getPivot(),
+        animation: model.getAnimation().hasClips() ? model.getAnimation().getState() : null
+      })),
+      annotations: this.annotationManager.capture(),
+      clipping: this.clippingManager.capture(),
+      background: this.scene.background instanceof THREE.Color ? this.scene.background.clone() : null,
+      keyLight: this.keyLight.captureState(),
+      fillLight: this.fillLight.captureState(),
+      camera: {
+        distance: this.getCameraDistance(),
+        fov: this.getCameraFOV()
+      }
+    };
+  }
+
+  /**
+   * Restores a snapshot captured by captureSnapshot()
+   * Objects removed since the snapshot was taken are skipped, and so are objects whose model
+   * was swapped since (loadModel): the captured materials, transform and annotations belong to
+   * geometry with other bounds and units.
+   * @param {Object} snapshot - Snapshot from captureSnapshot()
+   */
+  restoreSnapshot(snapshot) {
+    const current = new Map(snapshot.objects
+      .filter(({ id, modelId }) => this.objects.has(id) && this.objects.get(id).modelId === modelId)
+      .map(({ id }) => [id, this.objects.get(id)]));
+    snapshot.objects.forEach(({ id, materials, scale, quaternion, position, pivot, animation }) => {
+      const entry = current.get(id);
+      if (!entry) {
+        return;
+      }
+      const object = entry.model.getObject();
+      entry.model.restoreMaterials(materials);
+      object.scale.copy(scale);
+      object.quaternion.copy(quaternion);
+      // Moving the pivot shifts the position, so the position is restored last
+      entry.model.setPivot(pivot);
+      object.position.copy(position);
+      if (animation) {
+        entry.model.getAnimation().restore(animation);
+      }
+    });
+    if (this.rotationController) {
+      this.rotationController.syncWithModel();
+    }
+    this.annotationManager.restore(snapshot.annotations, id => (current.has(id) ? current.get(id).model.getObject() : null));
+    this.clippingManager.restore(snapshot.clipping, id => (this.objects.has(id) ? this.objects.get(id).model : null));
+
+    this.scene.background = snapshot.background ? snapshot.background.clone() : null;
+    this.keyLight.restoreState(snapshot.keyLight);
+    this.fillLight.restoreState(snapshot.fillLight);
+
+    if (this.cameraController) {
+      this.cameraController.dollyCamera(snapshot.camera.distance);
+      this.cameraController.setCameraFOV(snapshot.camera.fov);
+    }
+
+    this.render(this.camera);
+  }
+
   /**
    * Gets array of pickable objects for ray picking (picker geometries)
    * @returns {Array<THREE.Object3D>} Array of pickable objects
@@ -0,0 +1,91 @@
+import { CONFIG } from './constants.js';
+
+/**
+ * Persists named scene presets (getSceneState() snapshots) in localStorage
+ * localStorage is scoped to the page origin, so presets are shared by every
+ * session opened from the same deployment and survive across conversations.
+ */
+export class ScenePresetStore {
+  constructor(storageKey = CONFIG.PRESETS.STORAGE_KEY) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Reads all presets from storage
+   * @returns {Object<string, {state: Object, savedAt: number}>} Presets keyed by name
+   */
+  _readAll() {
+    try {
+      const raw = window.localStorage.getItem(this.storageKey);
+      return raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      console.error('Error reading scene presets:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Writes all presets to storage
+   * @param {Object<string, {state: Object, savedAt: number}>} presets - Presets keyed by name
+   */
+  _writeAll(presets) {
+    window.localStorage.setItem(this.storageKey, JSON.stringify(presets));
+  }
+
+  /**
+   * Checks whether a preset exists
+   * Only own keys count, so names such as "toString" are not found on the object prototype.
+   * @param {Object<string, {state: Object, savedAt: number}>} presets - Presets keyed by name
+   * @param {string} name - Preset name
+   * @returns {boolean} True if a preset has that name
+   */
+  _has(presets, name) {
+    return Object.prototype.hasOwnProperty.call(presets, name);
+  }
+
+  /**
+   * Saves (or overwrites) a preset
+   * @param {string} name - Preset name
+   * @param {Object} state - Scene state from getSceneState()
+   */
+  save(name, state) {
+    const presets = this._readAll();
+    presets[name] = { state, savedAt: Date.now() };
+    this._writeAll(presets);
+  }
+
+  /**
+   * Gets a preset's scene state
+   * @param {string} name - Preset name
+   * @returns {Object|null} Scene state, or null if no preset has that name
+   */
+  load(name) {
+    const presets = this._readAll();
+    return this._has(presets, name) ? presets[name].state : null;
+  }
+
+  /**
+   * Deletes a preset
+   * @param {string} name - Preset name
+   * @returns {boolean} True if a preset was deleted
+   */
+  delete(name) {
+    const presets = this._readAll();
+    if (!this._has(presets, name)) {
+      return false;
+    }
+    delete presets[name];
+    this._writeAll(presets);
+    return true;
+  }
+
+  /**
+   * Lists saved presets, sorted by name
+   * @returns {Array<{name: string, savedAt: number}>} Preset summaries
+   */
+  list() {
+    return Object.entries(this._readAll())
+      .map(([name, preset]) => ({ name, savedAt: preset.savedAt }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
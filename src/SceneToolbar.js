@@ -0,0 +1,157 @@
+/**
+ * Overlay toolbar with scene actions (named presets, export/import of the scene state as JSON,
+ * shareable links, measurement mode)
+ * Owns the toolbar DOM; the actions themselves are provided by Application as callbacks
+ */
+export class SceneToolbar {
+  /**
+   * @param {Object} callbacks - Action callbacks
+   * @param {Function} callbacks.onExportState - Returns the scene state object to download
+   * @param {Function} callbacks.onImportState - Receives a parsed scene state object
+   * @param {Function} callbacks.onSavePreset - Receives the name to save the current scene under
+   * @param {Function} callbacks.onLoadPreset - Receives the name of the preset to apply
+   * @param {Function} callbacks.onDeletePreset - Receives the name of the preset to delete
+   * @param {Function} callbacks.onCopyLink - Returns the shareable URL for the current scene
+   * @param {Function} callbacks.onLinkCopied - Called once the link is on the clipboard
+   * @param {Function} callbacks.onMeasurementModeChange - Receives the chosen measurement mode ("off", "distance", ...)
+   */
+  constructor({ onExportState, onImportState, onSavePreset, onLoadPreset, onDeletePreset, onCopyLink, onLinkCopied, onMeasurementModeChange }) {
+    this.onExportState = onExportState;
+    this.onImportState = onImportState;
+    this.onSavePreset = onSavePreset;
+    this.onLoadPreset = onLoadPreset;
+    this.onDeletePreset = onDeletePreset;
+    this.onCopyLink = onCopyLink;
+    this.onLinkCopied = onLinkCopied;
+    this.onMeasurementModeChange = onMeasurementModeChange;
+
+    this.importInput = document.getElementById('import-state-file');
+    this.presetSelect = document.getElementById('preset-select');
+    this.measureSelect = document.getElementById('measure-select');
+
+    this._setupEventListeners();
+  }
+
+  _setupEventListeners() {
+    document.getElementById('export-state').addEventListener('click', () => {
+      this._exportState();
+    });
+
+    document.getElementById('import-state').addEventListener('click', () => {
+      this.importInput.click();
+    });
+
+    this.importInput.addEventListener('change', () => {
+      const file = this.importInput.files[0];
+      // Reset so choosing the same file again still triggers a change event
+      this.importInput.value = '';
+      if (file) {
+        this._importState(file);
+      }
+    });
+
+    this.presetSelect.addEventListener('change', () => {
+      if (this.presetSelect.value) {
+        this.onLoadPreset(this.presetSelect.value);
+      }
+    });
+
+    document.getElementById('save-preset').addEventListener('click', () => {
+      const name = window.prompt('Save scene preset as:', this.presetSelect.value);
+      if (name && name.trim()) {
+        this.onSavePreset(name.trim());
+      }
+    });
+
+    document.getElementById('delete-preset').addEventListener('click', () => {
+      const name = this.presetSelect.value;
+      if (name && window.confirm(`Delete scene preset "${name}"?`)) {
+        this.onDeletePreset(name);
+      }
+    });
+
+    document.getElementById('copy-link').addEventListener('click', () => {
+      this._copyLink();
+    });
+
+    this.measureSelect.addEventListener('change', () => {
+      this.onMeasurementModeChange(this.measureSelect.value);
+    });
+  }
+
+  /**
+   * Shows the active measurement mode (when it was changed by a command)
+   * @param {string} mode - Measurement mode ("off", "distance", "angle" or "area")
+   */
+  setMeasurementMode(mode) {
+    this.measureSelect.value = mode;
+  }
+
+  /**
+   * Rebuilds the preset picker options, keeping the current selection when it still exists
+   * @param {Array<{name: string}>} presets - Saved presets
+   */
+  setPresets(presets) {
+    const selected = this.presetSelect.value;
+    this.presetSelect.replaceChildren(new Option('Presets…', ''));
+    presets.forEach(({ name }) => {
+      this.presetSelect.add(new Option(name, name));
+    });
+    this.presetSelect.value = presets.some(preset => preset.name === selected) ? selected : '';
+  }
+
+  /**
+   * Downloads the current scene state as a JSON file
+   */
+  _exportState() {
+    const state = this.onExportState();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadJSON(state, `scene-state-${timestamp}.json`);
+  }
+
+  /**
+   * Copies the shareable link to the clipboard
+   * Falls back to a prompt with the link selected where the clipboard API is unavailable
+   * (e.g., pages served over plain HTTP)
+   */
+  async _copyLink() {
+    const url = this.onCopyLink();
+    try {
+      await navigator.clipboard.writeText(url);
+      this.onLinkCopied();
+    } catch (error) {
+      window.prompt('Copy this link:', url);
+    }
+  }
+
+  /**
+   * Reads a scene state JSON file and hands it to the import callback
+   * @param {File} file - File chosen by the user
+   */
+  async _importState(file) {
+    let state;
+    try {
+      state = JSON.parse(await file.text());
+    } catch (error) {
+      window.alert(`Could not read ${file.name}: ${error.message}`);
+      return;
+    }
+    this.onImportState(state);
+  }
+}
+
+/**
+ * Triggers a browser download of a JSON-serializable value
+ * @param {*} value - Value to serialize
+ * @param {string} fileName - Suggested file name
+ */
+function downloadJSON(value, fileName) {
+  const blob = new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoke after the click has been dispatched so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
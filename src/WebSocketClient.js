@@ -4,11 +4,12 @@
  * Automatically detects if server is not running and polls for availability
  */
 export class WebSocketClient {
-  constructor(onCommand, onStatusChange = null, sessionId = null, onStateQuery = null) {
+  constructor(onCommand, onStatusChange = null, sessionId = null, onStateQuery = null, onCapabilitiesQuery = null) {
     this.ws = null;
     this.onCommand = onCommand;
     this.onStatusChange = onStatusChange;
     this.onStateQuery = onStateQuery; // Callback to retrieve state when queried
+    this.onCapabilitiesQuery = onCapabilitiesQuery; // Callback to retrieve the command manifest on registration
     this.sessionId = sessionId; // Store session ID for this client
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
@@ -90,10 +91,15 @@ export class WebSocketClient {
         // Register session with server if sessionId is available
         if (this.sessionId) {
           console.log(`Registering session ID: ${this.sessionId}`);
-          this.ws.send(JSON.stringify({
+          const registration = {
             type: 'registerSession',
             sessionId: this.sessionId
-          }));
+          };
+          // Advertise supported commands so the server can generate tool definitions
+          if (this.onCapabilitiesQuery) {
+            registration.capabilities = this.onCapabilitiesQuery();
+          }
+          this.ws.send(JSON.stringify(registration));
         } else {
           console.warn('No session ID provided. WebSocket connected but session not registered.');
         }
@@ -295,6 +301,40 @@ export class WebSocketClient {
     }
   }
 
+  /**
+   * Send a getter command's value to server
+   * @param {string} requestId - Request ID for correlation
+   * @param {string} query - Getter command type (e.g., "getKeyLightColor")
+   * @param {*} value - Value returned by the getter
+   */
+  sendQueryResponse(requestId, query, value) {
+    if (this.isConnected()) {
+      this.ws.send(JSON.stringify({
+        type: 'queryResponse',
+        requestId: requestId,
+        query: query,
+        value: value
+      }));
+    }
+  }
+
+  /**
+   * Send a getter command failure to server
+   * @param {string} requestId - Request ID for correlation
+   * @param {string} query - Getter command type (e.g., "getKeyLightColor")
+   * @param {{code: string, message: string}} error - Structured error
+   */
+  sendQueryError(requestId, query, error) {
+    if (this.isConnected()) {
+      this.ws.send(JSON.stringify({
+        type: 'queryError',
+        requestId: requestId,
+        query: query,
+        error: error
+      }));
+    }
+  }
+
   /**
    * Send state update to server (push update)
    * @param {object} state - State object to send
@@ -308,5 +348,41 @@ export class WebSocketClient {
       }));
     }
   }
-}
 
+  /**
+   * Send a viewer event to server (something the user did, not a reply to a command)
+   * @param {string} type - Event type (e.g., 'modelLoaded')
+   * @param {object} payload - Event fields
+   */
+  sendEvent(type, payload) {
+    if (this.isConnected()) {
+      this.ws.send(JSON.stringify({
+        ...payload,
+        type: type,
+        timestamp: Date.now()
+      }));
+    }
+  }
+
+  /**
+   * Send command result to server (acknowledges a command that carried a commandId)
+   * @param {string} commandId - Command ID for correlation
+   * @param {string} commandType - Type of the command being acknowledged
+   * @param {string} status - 'success' or 'error'
+   * @param {object|null} result - Resulting values (on success)
+   * @param {{code: string, message: string, details?: object}|null} error - Structured error (on failure)
+   */
+  sendCommandResult(commandId, commandType, status, result = null, error = null) {
+    if (this.isConnected()) {
+      this.ws.send(JSON.stringify({
+        type: 'commandResult',
+        commandId: commandId,
+        commandType: commandType,
+        status: status,
+        result: result,
+        error: error,
+        timestamp: Date.now()
+      }));
+    }
+  }
+}
@@ -0,0 +1,982 @@
+import { CONFIG } from './constants.js';
+import { Model } from './Model.js';
+import { MATERIAL_PRESETS } from './materialPresets.js';
+import { MeasurementManager } from './MeasurementManager.js';
+import { ClippingManager } from './ClippingManager.js';
+import { AnimationController } from './AnimationController.js';
+
+/**
+ * Command schemas for the WebSocket protocol
+ *
+ * Each entry describes one command: what it does, its parameters and, for getters,
+ * what it returns. Commands that change nothing undoable set recordsHistory: false;
+ * read-only commands not named get* set query: true so they are answered like getters.
+ * The schemas are published to the server as a capability manifest on session
+ * registration so MCP tool definitions can be generated from them.
+ *
+ * Parameter types:
+ * - number / integer: finite number (min/max are the ranges the frontend clamps to)
+ * - boolean: true or false
+ * - string: free text (optionally restricted to an enum)
+ * - color: hex color string (e.g., "#ff0000") or a color name
+ * - direction: azimuth in degrees (0-360) or a direction name (e.g., "north", "NW")
+ * - object / array: structured values; nested properties (objects), values (objects used as maps keyed by
+ *   name or ID) and items (arrays) are validated too
+ */
+
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Relative rotation amount parameter (degrees)
+ * @param {number} defaultValue - Default amount in degrees
+ * @returns {Object} Parameter schema
+ */
+function degreesParam(defaultValue) {
+  return {
+    type: 'number',
+    min: 0,
+    max: 360,
+    default: defaultValue,
+    description: 'Amount in degrees'
+  };
+}
+
+/**
+ * Builds the schemas shared by the key and fill lights
+ * @param {string} name - Light name used in command types ("Key" or "Fill")
+ * @returns {Array<[string, Object]>} Schema entries
+ */
+function lightSchemas(name) {
+  const label = name.toLowerCase();
+  const sphericalPosition = { type: 'object', description: 'Spherical position {azimuth, elevation, distance}' };
+
+  return [
+    [`set${name}LightIntensity`, {
+      description: `Sets the ${label} light intensity`,
+      params: {
+        intensity: { type: 'number', required: true, min: 0, description: 'Light intensity' }
+      }
+    }],
+    [`set${name}LightColor`, {
+      description: `Sets the ${label} light color`,
+      params: {
+        color: { type: 'color', required: true, description: 'Hex color string' }
+      }
+    }],
+    [`swing${name}LightUp`, { description: `Swings the ${label} light up around the model`, params: {} }],
+    [`swing${name}LightDown`, { description: `Swings the ${label} light down around the model`, params: {} }],
+    [`swing${name}LightLeft`, { description: `Swings the ${label} light left around the model`, params: {} }],
+    [`swing${name}LightRight`, { description: `Swings the ${label} light right around the model`, params: {} }],
+    [`walk${name}LightIn`, { description: `Moves the ${label} light toward the model`, params: {} }],
+    [`walk${name}LightOut`, { description: `Moves the ${label} light away from the model`, params: {} }],
+    [`set${name}LightPositionSpherical`, {
+      description: `Sets the ${label} light position in camera-centric spherical coordinates (keeps distance)`,
+      params: {
+        azimuth: { type: 'direction', required: true, min: 0, max: 360, description: '0° = camera forward, 90° = camera right, or a direction name' },
+        elevation: { type: 'number', required: true, min: 0, max: 90, description: '0° = horizon, 90° = overhead' }
+      }
+    }],
+    [`get${name}LightPositionSpherical`, { description: `Gets the ${label} light spherical position`, params: {}, returns: sphericalPosition }],
+    [`get${name}LightIntensity`, { description: `Gets the ${label} light intensity`, params: {}, returns: { type: 'number' } }],
+    [`get${name}LightColor`, { description: `Gets the ${label} light color`, params: {}, returns: { type: 'color' } }],
+    [`get${name}LightSize`, { description: `Gets the ${label} light area size`, params: {}, returns: { type: 'object', description: '{width, height}' } }],
+    [`rotate${name}LightClockwise`, {
+      description: `Rotates the ${label} light clockwise (decreases azimuth)`,
+      params: { degrees: degreesParam(10) }
+    }],
+    [`rotate${name}LightCounterclockwise`, {
+      description: `Rotates the ${label} light counterclockwise (increases azimuth)`,
+      params: { degrees: degreesParam(10) }
+    }],
+    [`nudge${name}LightElevationUp`, {
+      description: `Raises the ${label} light elevation`,
+      params: { degrees: degreesParam(5) }
+    }],
+    [`nudge${name}LightElevationDown`, {
+      description: `Lowers the ${label} light elevation`,
+      params: { degrees: degreesParam(5) }
+    }],
+    [`move${name}LightTowardDirection`, {
+      description: `Moves the ${label} light azimuth toward a direction`,
+      params: {
+        direction: { type: 'direction', required: true, min: 0, max: 360, description: 'Target azimuth in degrees or a direction name' },
+        degrees: degreesParam(10)
+      }
+    }],
+    [`set${name}LightDistance`, {
+      description: `Sets the ${label} light distance from the model origin (keeps azimuth and elevation)`,
+      params: {
+        distance: {
+          type: 'number',
+          required: true,
+          min: CONFIG.LIGHTING.MIN_DISTANCE,
+          max: CONFIG.LIGHTING.MAX_DISTANCE,
+          description: 'Radial distance from the model origin'
+        }
+      }
+    }]
+  ];
+}
+
+/**
+ * Builds the (partial) state schema shared by the key and fill lights
+ * @returns {Object} Nested property schemas
+ */
+function lightStateProperties() {
+  const size = { type: 'number', min: CONFIG.LIGHTING.MIN_SIZE, max: CONFIG.LIGHTING.MAX_SIZE };
+  return {
+    intensity: { type: 'number', min: 0 },
+    color: { type: 'color' },
+    position: {
+      type: 'object',
+      properties: {
+        azimuth: { type: 'direction', min: 0, max: 360 },
+        elevation: { type: 'number', min: 0, max: 90 },
+        distance: { type: 'number', min: CONFIG.LIGHTING.MIN_DISTANCE, max: CONFIG.LIGHTING.MAX_DISTANCE }
+      }
+    },
+    size: { type: 'object', properties: { width: size, height: size } }
+  };
+}
+
+/**
+ * Surface properties of the model material (shared by the material commands and the scene state)
+ */
+const MATERIAL_PROPERTIES = {
+  roughness: { type: 'number', min: 0, max: 1, description: '0 = mirror-like, 1 = fully matte' },
+  metalness: { type: 'number', min: 0, max: 1, description: '0 = dielectric, 1 = metal' },
+  opacity: { type: 'number', min: 0, max: 1, description: 'Below 1 the model becomes transparent' },
+  emissive: { type: 'color', description: 'Emissive (glow) color' },
+  emissiveIntensity: { type: 'number', min: 0, max: CONFIG.MODEL.MAX_EMISSIVE_INTENSITY, description: 'Emissive intensity' },
+  flatShading: { type: 'boolean', description: 'Faceted instead of smooth shading' },
+  wireframe: { type: 'boolean', description: 'Render edges only' },
+  side: { type: 'string', enum: Model.MATERIAL_SIDES, description: 'Faces to render' },
+  // Physical-material extras (only reported and applied for physical materials)
+  clearcoat: { type: 'number', min: 0, max: 1, description: 'Strength of a glossy clear coat layer' },
+  clearcoatRoughness: { type: 'number', min: 0, max: 1, description: 'Roughness of the clear coat' },
+  transmission: { type: 'number', min: 0, max: 1, description: 'How much light passes through (glass)' },
+  thickness: { type: 'number', min: 0, max: 10, description: 'Volume thickness for transmission' },
+  ior: { type: 'number', min: 1, max: 2.333, description: 'Index of refraction' },
+  sheen: { type: 'number', min: 0, max: 1, description: 'Strength of a fabric-like sheen' },
+  sheenRoughness: { type: 'number', min: 0, max: 1, description: 'Roughness of the sheen' },
+  sheenColor: { type: 'color', description: 'Sheen color' }
+};
+
+const objectIdParam = { type: 'string', description: 'ID of the object to target instead of the selected one (see listObjects)' };
+
+/**
+ * Adds the optional objectId parameter to model commands
+ * @param {Array<[string, Object]>} entries - Schema entries
+ * @returns {Array<[string, Object]>} Schema entries that can target any object
+ */
+function withObjectId(entries) {
+  return entries.map(([type, schema]) => [type, { ...schema, params: { ...schema.params, objectId: objectIdParam } }]);
+}
+
+const partParam = { type: 'string', description: 'Name of a model part to change instead of the whole model (see getModelParts)' };
+
+/**
+ * Builds the material commands (one setter per surface property)
+ * @returns {Array<[string, Object]>} Schema entries
+ */
+function materialSchemas() {
+  const setter = (type, description, name, property) => [type, {
+    description,
+    params: {
+      [name]: { ...MATERIAL_PROPERTIES[property], required: true },
+      part: partParam
+    }
+  }];
+
+  return [
+    setter('setModelRoughness', 'Sets the model material roughness', 'roughness', 'roughness'),
+    setter('setModelMetalness', 'Sets the model material metalness', 'metalness', 'metalness'),
+    setter('setModelOpacity', 'Sets the model opacity (transparency)', 'opacity', 'opacity'),
+    setter('setModelEmissiveColor', 'Sets the model emissive (glow) color', 'color', 'emissive'),
+    setter('setModelEmissiveIntensity', 'Sets the model emissive intensity', 'intensity', 'emissiveIntensity'),
+    setter('setModelFlatShading', 'Switches between flat (faceted) and smooth shading', 'enabled', 'flatShading'),
+    setter('setModelWireframe', 'Turns wireframe rendering on or off', 'enabled', 'wireframe'),
+    setter('setModelSide', 'Sets which faces of the model are rendered', 'side', 'side'),
+    ['getModelMaterial', {
+      description: 'Gets the model surface properties',
+      params: { part: { type: 'string', description: 'Name of a model part to read (see getModelParts)' } },
+      returns: {
+        type: 'object',
+        description: '{roughness, metalness, opacity, emissive, emissiveIntensity, flatShading, wireframe, side}, plus clearcoat, transmission, sheen, ... for physical materials'
+      }
+    }],
+    ['applyMaterialPreset', {
+      description: 'Makes the model look like a material (e.g., "chrome", "clay", "glass"); see listMaterialPresets',
+      params: {
+        name: { type: 'string', required: true, enum: [...MATERIAL_PRESETS.keys()], description: 'Preset name' },
+        keepColor: { type: 'boolean', default: false, description: 'Keep the current color instead of the preset color' },
+        part: partParam
+      },
+      returns: { type: 'object', description: '{preset, material, color} (color omitted with keepColor)' }
+    }],
+    ['listMaterialPresets', {
+      description: 'Lists the material presets',
+      query: true,
+      params: {},
+      returns: { type: 'array', description: '[{name, description}]' }
+    }]
+  ];
+}
+
+/**
+ * Builds a coordinate parameter for model positions and offsets
+ * @param {string} description - Parameter description
+ * @param {Object} options - Extra schema fields (required, default)
+ * @returns {Object} Parameter schema
+ */
+function coordinateParam(description, options = {}) {
+  const limit = CONFIG.MODEL.MAX_POSITION;
+  return { type: 'number', min: -limit, max: limit, description, ...options };
+}
+
+/**
+ * Builds the model position and pivot commands
+ * @returns {Array<[string, Object]>} Schema entries
+ */
+function positionSchemas() {
+  const distanceParam = { type: 'number', min: 0, max: CONFIG.MODEL.MAX_POSITION, default: 1, description: 'Distance in world units' };
+  const move = (direction, label) => [`moveModel${direction}`, {
+    description: `Moves the model ${label} on screen`,
+    params: { distance: distanceParam },
+    returns: { type: 'object', description: '{position: {x, y, z}}' }
+  }];
+
+  return [
+    ['getModelPosition', { description: 'Gets the model position (where its pivot is)', params: {}, returns: { type: 'object', description: '{x, y, z} in world units' } }],
+    ['setModelPosition', {
+      description: 'Moves the model so its pivot is at a world position (the origin is at y = -0.5)',
+      params: {
+        x: coordinateParam('X coordinate', { required: true }),
+        y: coordinateParam('Y coordinate', { required: true }),
+        z: coordinateParam('Z coordinate', { required: true })
+      },
+      returns: { type: 'object', description: '{position: {x, y, z}}' }
+    }],
+    ['translateModel', {
+      description: 'Moves the model by an offset along the world axes or the screen directions',
+      params: {
+        x: coordinateParam('Offset along X (world) or to the right (camera)', { default: 0 }),
+        y: coordinateParam('Offset along Y (world) or up (camera)', { default: 0 }),
+        z: coordinateParam('Offset along Z (world) or toward the viewer (camera)', { default: 0 }),
+        relativeTo: { type: 'string', enum: ['world', 'camera'], default: 'world', description: 'Axes the offset is expressed in' }
+      },
+      returns: { type: 'object', description: '{position: {x, y, z}}' }
+    }],
+    move('Left', 'left'),
+    move('Right', 'right'),
+    move('Up', 'up'),
+    move('Down', 'down'),
+    ['getModelPivot', { description: 'Gets the point the model rotates and scales around', params: {}, returns: { type: 'object', description: '{x, y, z} relative to the bounding-box centre, in model units' } }],
+    ['setModelPivot', {
+      description: 'Sets the point the model rotates and scales around, relative to its bounding-box centre (the model does not move)',
+      params: {
+        x: coordinateParam('X offset from the centre', { required: true }),
+        y: coordinateParam('Y offset from the centre', { required: true }),
+        z: coordinateParam('Z offset from the centre', { required: true })
+      },
+      returns: { type: 'object', description: '{pivot: {x, y, z}, position: {x, y, z}}' }
+    }],
+    ['resetModelTransform', {
+      description: 'Puts the model back at the origin, unrotated, at scale 1 and with its pivot at the centre',
+      params: {},
+      returns: { type: 'object', description: '{position, pivot, rotation, scale}' }
+    }]
+  ];
+}
+
+/**
+ * Builds the texture commands (maps per slot and a shared UV transform)
+ * Textures are not part of the scene state, so none of these are recorded in the undo history.
+ * @returns {Array<[string, Object]>} Schema entries
+ */
+function textureSchemas() {
+  const slotParam = { type: 'string', required: true, enum: Model.TEXTURE_SLOTS, description: 'Texture slot' };
+
+  return [
+    ['setModelTexture', {
+      description: 'Applies an image as the model base color, normal, roughness or ambient-occlusion map',
+      recordsHistory: false,
+      params: {
+        slot: slotParam,
+        url: { type: 'string', required: true, description: 'Image URL: a path bundled with the viewer or a cross-origin-enabled URL' },
+        part: partParam
+      },
+      returns: { type: 'object', description: '{slot, url, maps, transform}' }
+    }],
+    ['clearModelTexture', {
+      description: 'Removes the map in a texture slot',
+      recordsHistory: false,
+      params: { slot: slotParam, part: partParam },
+      returns: { type: 'object', description: '{slot, maps, transform}' }
+    }],
+    ['setTextureTransform', {
+      description: 'Sets how applied textures are tiled, shifted and rotated on the model',
+      recordsHistory: false,
+      params: {
+        repeatX: { type: 'number', min: 0.01, max: 100, description: 'Horizontal tiling' },
+        repeatY: { type: 'number', min: 0.01, max: 100, description: 'Vertical tiling' },
+        offsetX: { type: 'number', min: -1, max: 1, description: 'Horizontal shift in UV units' },
+        offsetY: { type: 'number', min: -1, max: 1, description: 'Vertical shift in UV units' },
+        rotation: { type: 'number', min: -360, max: 360, description: 'Rotation in degrees around the texture center' }
+      },
+      returns: { type: 'object', description: '{repeat: {x, y}, offset: {x, y}, rotation}' }
+    }],
+    ['getModelTextures', {
+      description: 'Gets the maps in each texture slot and the UV transform',
+      params: { part: { type: 'string', description: 'Name of a model part to read (see getModelParts)' } },
+      returns: { type: 'object', description: '{maps: {baseColor, normal, roughness, ao} (texture names or null), transform}' }
+    }]
+  ];
+}
+
+/**
+ * Builds a world-space point or direction parameter
+ * @param {string} description - Parameter description
+ * @param {Object} options - Extra schema fields (required)
+ * @returns {Object} Parameter schema
+ */
+function vectorParam(description, options = {}) {
+  return {
+    type: 'object',
+    description,
+    properties: {
+      x: { type: 'number', required: true },
+      y: { type: 'number', required: true },
+      z: { type: 'number', required: true }
+    },
+    ...options
+  };
+}
+
+const annotationTextParam = { type: 'string', description: 'Label text' };
+const annotationColorParam = { type: 'color', description: 'Marker color' };
+
+/**
+ * Fields of an annotation as reported by listAnnotations and carried in the scene state
+ */
+const ANNOTATION_PROPERTIES = {
+  id: { type: 'string', description: 'Annotation ID (kept when the state is applied)' },
+  objectId: { type: 'string', description: 'Object the annotation is pinned to (defaults to the selected object)' },
+  text: { ...annotationTextParam, required: true },
+  color: annotationColorParam,
+  point: vectorParam('World-space point on the model surface', { required: true }),
+  normal: vectorParam('World-space surface normal (the marker hides when it faces away from the camera)')
+};
+
+/**
+ * Builds the annotation commands (labelled markers pinned to model surfaces)
+ * @returns {Array<[string, Object]>} Schema entries
+ */
+function annotationSchemas() {
+  const idParam = { type: 'string', required: true, description: 'Annotation ID (see listAnnotations)' };
+  const returns = { type: 'object', description: '{id, objectId, text, color, point: {x, y, z}, normal: {x, y, z}} in world space' };
+
+  return [
+    ['addAnnotation', {
+      description: 'Pins a labelled marker to a point on a model surface (e.g., a point from getLastPick); it follows the model as it moves',
+      params: {
+        text: { ...annotationTextParam, required: true },
+        point: ANNOTATION_PROPERTIES.point,
+        normal: { ...ANNOTATION_PROPERTIES.normal, description: `${ANNOTATION_PROPERTIES.normal.description}; defaults to pointing away from the model centre` },
+        color: { ...annotationColorParam, default: CONFIG.ANNOTATION.COLOR },
+        objectId: { ...objectIdParam, description: 'ID of the object the point is on (defaults to the selected object)' }
+      },
+      returns
+    }],
+    ['updateAnnotation', {
+      description: 'Changes the text or color of an annotation',
+      params: { id: idParam, text: annotationTextParam, color: annotationColorParam },
+      returns
+    }],
+    ['removeAnnotation', {
+      description: 'Removes an annotation',
+      params: { id: idParam }
+    }],
+    ['clearAnnotations', {
+      description: 'Removes every annotation, or those of one object',
+      params: { objectId: { ...objectIdParam, description: 'Only remove the annotations of this object' } },
+      returns: { type: 'integer', description: 'Number of annotations removed' }
+    }],
+    ['listAnnotations', {
+      description: 'Lists the annotations',
+      query: true,
+      params: {},
+      returns: { type: 'array', description: '[{id, objectId, text, color, point, normal}] in world space' }
+    }]
+  ];
+}
+
+/**
+ * Builds the measurement commands (distances, angles and areas between points on a model)
+ * Measurements are not part of the scene state, so none of these are recorded in the undo history.
+ * @returns {Array<[string, Object]>} Schema entries
+ */
+function measurementSchemas() {
+  const pointParam = description => vectorParam(`World-space ${description}`, { required: true });
+  const measureObjectIdParam = { ...objectIdParam, description: 'ID of the object the points are on (defaults to the selected object)' };
+  const returns = { type: 'object', description: '{id, type, value, points: [{objectId, x, y, z}]} with value in scene units (degrees for angles)' };
+
+  return [
+    ['measureDistance', {
+      description: 'Measures the straight-line distance between two points on a model and draws it',
+      recordsHistory: false,
+      params: { from: pointParam('start point'), to: pointParam('end point'), objectId: measureObjectIdParam },
+      returns
+    }],
+    ['measureAngle', {
+      description: 'Measures the angle at a vertex between two points on a model and draws it',
+      recordsHistory: false,
+      params: {
+        start: pointParam('point on the first arm'),
+        vertex: pointParam('vertex of the angle'),
+        end: pointParam('point on the second arm'),
+        objectId: measureObjectIdParam
+      },
+      returns
+    }],
+    ['measureArea', {
+      description: 'Measures the area enclosed by an outline of points on a model and draws it',
+      recordsHistory: false,
+      params: {
+        points: {
+          type: 'array',
+          required: true,
+          items: vectorParam('World-space outline point'),
+          description: `Outline points in order (at least ${MeasurementManager.getPointCount('area')})`
+        },
+        objectId: measureObjectIdParam
+      },
+      returns
+    }],
+    ['listMeasurements', {
+      description: 'Lists the measurements with their current values',
+      query: true,
+      params: {},
+      returns: { type: 'array', description: '[{id, type, value, points}]' }
+    }],
+    ['removeMeasurement', {
+      description: 'Removes a measurement',
+      recordsHistory: false,
+      params: { id: { type: 'string', required: true, description: 'Measurement ID (see listMeasurements)' } }
+    }],
+    ['clearMeasurements', {
+      description: 'Removes every measurement, or those with a point on one object',
+      recordsHistory: false,
+      params: { objectId: { ...objectIdParam, description: 'Only remove the measurements on this object' } },
+      returns: { type: 'integer', description: 'Number of measurements removed' }
+    }],
+    ['setMeasurementMode', {
+      description: 'Lets the user measure by clicking the model: two clicks per distance, three per angle (vertex second), and an outline closed with Enter for areas',
+      recordsHistory: false,
+      params: {
+        mode: { type: 'string', required: true, enum: ['off', 'distance', 'angle', 'area'], description: 'Measurement to pick, or "off" to go back to rotating the model' }
+      },
+      returns: { type: 'object', description: '{mode}' }
+    }]
+  ];
+}
+
+/**
+ * Fields that define a clipping plane
+ */
+const CLIPPING_PLANE_DEFINITION = {
+  axis: { type: 'string', enum: ClippingManager.AXES, description: 'Normal along a model or camera axis (takes precedence over normal)' },
+  normal: vectorParam('Normal pointing at the part to cut away'),
+  offset: { type: 'number', min: -CONFIG.CLIPPING.MAX_OFFSET, max: CONFIG.CLIPPING.MAX_OFFSET, description: 'Distance of the plane from the object centre along the normal' },
+  relativeTo: { type: 'string', enum: ['model', 'camera'], description: 'Space of the normal: "model" turns the plane with the object, "camera" with the view (+z toward the viewer)' },
+  cap: { type: 'boolean', description: 'Fill the cut with a solid cap' },
+  capColor: { type: 'color', description: 'Cap fill color' }
+};
+
+/**
+ * Fields of a clipping plane as reported by listClippingPlanes and carried in the scene state
+ */
+const CLIPPING_PLANE_PROPERTIES = {
+  id: { type: 'string', description: 'Plane ID (kept when the state is applied)' },
+  objectId: { type: 'string', description: 'Object the plane passes through (defaults to the selected object)' },
+  ...CLIPPING_PLANE_DEFINITION
+};
+
+/**
+ * Builds the clipping plane commands (cross-section views)
+ * @returns {Array<[string, Object]>} Schema entries
+ */
+function clippingSchemas() {
+  const idParam = { type: 'string', required: true, description: 'Plane ID (see listClippingPlanes)' };
+  const returns = { type: 'object', description: '{id, objectId, axis, normal: {x, y, z}, offset, relativeTo, cap, capColor}' };
+  const definition = CLIPPING_PLANE_DEFINITION;
+
+  return [
+    ['addClippingPlane', {
+      description: `Cuts the models with a plane through an object's centre to show their interior (up to ${CONFIG.CLIPPING.MAX_PLANES} planes); give an axis or a normal`,
+      params: {
+        ...definition,
+        offset: { ...definition.offset, default: 0 },
+        relativeTo: { ...definition.relativeTo, default: 'model' },
+        cap: { ...definition.cap, default: false },
+        capColor: { ...definition.capColor, default: CONFIG.CLIPPING.CAP_COLOR },
+        objectId: { ...objectIdParam, description: 'ID of the object the plane passes through (defaults to the selected object)' }
+      },
+      returns
+    }],
+    ['updateClippingPlane', {
+      description: 'Changes a clipping plane (e.g., its offset, to sweep it through the model)',
+      params: { id: idParam, ...definition },
+      returns
+    }],
+    ['removeClippingPlane', {
+      description: 'Removes a clipping plane',
+      params: { id: idParam }
+    }],
+    ['clearClippingPlanes', {
+      description: 'Removes every clipping plane, or those through one object',
+      params: { objectId: { ...objectIdParam, description: 'Only remove the planes through this object' } },
+      returns: { type: 'integer', description: 'Number of planes removed' }
+    }],
+    ['listClippingPlanes', {
+      description: 'Lists the clipping planes',
+      query: true,
+      params: {},
+      returns: { type: 'array', description: '[{id, objectId, axis, normal, offset, relativeTo, cap, capColor}]' }
+    }]
+  ];
+}
+
+/**
+ * Fields of an animation playback state as reported by getAnimationState and carried in the scene state
+ */
+const ANIMATION_STATE_PROPERTIES = {
+  clip: { type: 'string', description: 'Current clip name' },
+  time: { type: 'number', min: 0, description: 'Time in the clip in seconds' },
+  playing: { type: 'boolean', description: 'Whether the clip is playing (false while paused or after a clip played once)' },
+  loop: { type: 'string', enum: AnimationController.LOOP_MODES, description: 'How clips repeat' },
+  speed: { type: 'number', min: -CONFIG.ANIMATION.MAX_SPEED, max: CONFIG.ANIMATION.MAX_SPEED, description: 'Playback speed factor (negative plays backwards)' }
+};
+
+/**
+ * Builds the animation playback commands (clips stored in glTF and FBX files)
+ * Playback is not undoable, so none of these are recorded in the undo history.
+ * @returns {Array<[string, Object]>} Schema entries
+ */
+function animationSchemas() {
+  const returns = { type: 'object', description: '{clip, time, duration, playing, loop, speed}' };
+  const clipParam = { type: 'string', description: 'Clip name (see listAnimations)' };
+
+  return [
+    ['listAnimations', {
+      description: 'Lists the animation clips of the model',
+      query: true,
+      params: {},
+      returns: { type: 'array', description: '[{name, duration}] with durations in seconds (empty for a static model)' }
+    }],
+    ['playAnimation', {
+      description: 'Plays an animation clip, or resumes the current one',
+      recordsHistory: false,
+      params: { clip: { ...clipParam, description: 'Clip to play (defaults to the current clip, then the first one)' } },
+      returns
+    }],
+    ['pauseAnimation', {
+      description: 'Pauses the animation, holding the current pose',
+      recordsHistory: false,
+      params: {},
+      returns
+    }],
+    ['seekAnimation', {
+      description: 'Jumps to a time in the current clip (works while paused, e.g., to inspect one pose)',
+      recordsHistory: false,
+      params: { time: { ...ANIMATION_STATE_PROPERTIES.time, required: true, description: 'Time in seconds (clamped to the clip duration)' } },
+      returns
+    }],
+    ['setAnimationLoop', {
+      description: 'Sets how clips repeat: "repeat" starts over, "once" stops on the last pose, "pingpong" plays back and forth',
+      recordsHistory: false,
+      params: { mode: { ...ANIMATION_STATE_PROPERTIES.loop, required: true } },
+      returns
+    }],
+    ['setAnimationSpeed', {
+      description: 'Sets the animation playback speed',
+      recordsHistory: false,
+      params: { speed: { ...ANIMATION_STATE_PROPERTIES.speed, required: true, description: 'Speed factor (1 = normal, 0.5 = half speed, negative plays backwards)' } },
+      returns
+    }],
+    ['crossFadeAnimation', {
+      description: 'Blends smoothly from the current clip into another one',
+      recordsHistory: false,
+      params: {
+        clip: { ...clipParam, required: true, description: 'Clip to fade into' },
+        duration: { type: 'number', min: 0, max: 10, default: CONFIG.ANIMATION.CROSS_FADE_DURATION, description: 'Fade duration in seconds' }
+      },
+      returns
+    }],
+    ['getAnimationState', {
+      description: 'Gets the current animation clip and where it is',
+      params: {},
+      returns: { type: 'object', description: '{clip, time, duration, playing, loop, speed}, or null for a static model' }
+    }]
+  ];
+}
+
+/**
+ * Schema of one object's entry in the scene state (its look, transform and animation)
+ */
+const OBJECT_STATE_PROPERTIES = {
+  color: { type: 'color' },
+  material: { type: 'object', properties: MATERIAL_PROPERTIES },
+  scale: {
+    type: 'object',
+    properties: {
+      x: { type: 'number', min: CONFIG.MODEL.MIN_SCALE, max: CONFIG.MODEL.MAX_SCALE },
+      y: { type: 'number', min: CONFIG.MODEL.MIN_SCALE, max: CONFIG.MODEL.MAX_SCALE },
+      z: { type: 'number', min: CONFIG.MODEL.MIN_SCALE, max: CONFIG.MODEL.MAX_SCALE }
+    }
+  },
+  rotation: {
+    type: 'object',
+    description: 'Euler angles in degrees (XYZ order)',
+    properties: {
+      x: { type: 'number' },
+      y: { type: 'number' },
+      z: { type: 'number' }
+    }
+  },
+  position: {
+    type: 'object',
+    description: 'World position of the model pivot',
+    properties: {
+      x: coordinateParam('X coordinate'),
+      y: coordinateParam('Y coordinate'),
+      z: coordinateParam('Z coordinate')
+    }
+  },
+  quaternion: {
+    type: 'object',
+    description: 'Rotation quaternion (takes precedence over rotation)',
+    properties: {
+      x: { type: 'number', required: true },
+      y: { type: 'number', required: true },
+      z: { type: 'number', required: true },
+      w: { type: 'number', required: true }
+    }
+  },
+  animation: {
+    type: 'object',
+    description: 'Animation playback (null for a static model; ignored if the model has no clip of that name)',
+    properties: ANIMATION_STATE_PROPERTIES
+  }
+};
+
+/**
+ * Schema of the scene state shape produced by Application.getSceneState()
+ * Every field is optional so partial states can be applied
+ */
+export const SCENE_STATE_PROPERTIES = {
+  model: { type: 'object', description: 'Selected object', properties: OBJECT_STATE_PROPERTIES },
+  objects: {
+    type: 'object',
+    description: 'Every object, keyed by object ID (entries for objects not in the scene are skipped)',
+    values: { type: 'object', properties: OBJECT_STATE_PROPERTIES }
+  },
+  annotations: {
+    type: 'array',
+    description: 'Annotations (replace the current ones; entries for objects not in the scene are skipped)',
+    items: { type: 'object', properties: ANNOTATION_PROPERTIES }
+  },
+  clipping: {
+    type: 'array',
+    description: 'Clipping planes (replace the current ones; planes through objects not in the scene are skipped)',
+    items: { type: 'object', properties: CLIPPING_PLANE_PROPERTIES }
+  },
+  background: { type: 'color' },
+  keyLight: { type: 'object', properties: lightStateProperties() },
+  fillLight: { type: 'object', properties: lightStateProperties() },
+  camera: {
+    type: 'object',
+    properties: {
+      distance: { type: 'number', min: CONFIG.CAMERA.MIN_DISTANCE, max: CONFIG.CAMERA.MAX_DISTANCE },
+      fov: { type: 'number', min: CONFIG.CAMERA.FOV_MIN, max: CONFIG.CAMERA.FOV_MAX }
+    }
+  }
+};
+
+export const COMMAND_SCHEMAS = new Map([
+  ['toolCall', {
+    description: 'Notifies the viewer that an MCP tool was called (shows a notification)',
+    recordsHistory: false,
+    params: {
+      toolName: { type: 'string', required: true, description: 'Tool name in snake_case' }
+    }
+  }],
+  // Model commands
+  ...withObjectId([
+    ['changeColor', {
+      description: 'Changes the model color (tints every material of a model loaded with preserveHierarchy)',
+      params: {
+        color: { type: 'color', required: true, description: 'Hex color string' },
+        part: partParam
+      }
+    }],
+    ...materialSchemas(),
+    ...textureSchemas(),
+    ['changeSize', {
+      description: 'Scales the model uniformly',
+      params: {
+        size: { type: 'number', required: true, min: CONFIG.MODEL.MIN_SCALE, max: CONFIG.MODEL.MAX_SCALE, description: 'Uniform scale factor' }
+      }
+    }],
+    ['scaleModel', {
+      description: 'Scales the model independently in each dimension',
+      params: {
+        x: { type: 'number', required: true, min: CONFIG.MODEL.MIN_SCALE, max: CONFIG.MODEL.MAX_SCALE, description: 'X scale factor' },
+        y: { type: 'number', required: true, min: CONFIG.MODEL.MIN_SCALE, max: CONFIG.MODEL.MAX_SCALE, description: 'Y scale factor' },
+        z: { type: 'number', required: true, min: CONFIG.MODEL.MIN_SCALE, max: CONFIG.MODEL.MAX_SCALE, description: 'Z scale factor' }
+      }
+    }],
+    ['getModelRotation', { description: 'Gets the model rotation', params: {}, returns: { type: 'object', description: 'Euler angles in degrees {x, y, z}' } }],
+    ['getModelColor', { description: 'Gets the model color', params: {}, returns: { type: 'color' } }],
+    ['getModelScale', { description: 'Gets the model scale', params: {}, returns: { type: 'object', description: '{x, y, z}' } }],
+    ['setModelRotation', {
+      description: 'Sets the model rotation from Euler angles (XYZ order)',
+      params: {
+        x: { type: 'number', required: true, description: 'Pitch in degrees' },
+        y: { type: 'number', required: true, description: 'Yaw in degrees' },
+        z: { type: 'number', required: true, description: 'Roll in degrees' }
+      }
+    }],
+    ['rotateModelClockwise', { description: 'Rotates the model clockwise around the vertical axis', params: { degrees: degreesParam(10) } }],
+    ['rotateModelCounterclockwise', { description: 'Rotates the model counterclockwise around the vertical axis', params: { degrees: degreesParam(10) } }],
+    ['nudgeModelPitchUp', { description: 'Pitches the model up', params: { degrees: degreesParam(5) } }],
+    ['nudgeModelPitchDown', { description: 'Pitches the model down', params: { degrees: degreesParam(5) } }],
+    ['nudgeModelRoll', {
+      description: 'Rolls the model (positive = clockwise)',
+      params: {
+        degrees: { type: 'number', min: -360, max: 360, default: 5, description: 'Amount in degrees' }
+      }
+    }],
+    ...positionSchemas(),
+    ['loadModel', {
+      description: 'Replaces the model of the selected object with a file loaded from a URL (glTF/GLB, OBJ, STL, PLY or FBX), keeping its color, scale and rotation',
+      // Swapping geometry is not undoable; undo skips the object's earlier changes, which were made to the old model
+      recordsHistory: false,
+      params: {
+        url: { type: 'string', required: true, description: 'URL of the model file (must allow cross-origin requests)' },
+        format: { type: 'string', enum: Model.FORMATS, description: 'Format, when the URL has no recognizable extension or Content-Type' },
+        preserveHierarchy: { type: 'boolean', default: false, description: 'Keep the scene graph, node transforms and materials instead of one merged mesh (glTF, OBJ, FBX); always kept for files with animation clips' },
+        normalize: { type: 'boolean', default: false, description: 'Scale the model so its largest dimension equals targetSize' },
+        targetSize: { type: 'number', min: 0.1, max: 100, default: CONFIG.MODEL.NORMALIZED_SIZE, description: 'Largest dimension after normalization' },
+        frame: { type: 'boolean', default: true, description: 'Fit the camera distance to the new model' }
+      },
+      returns: { type: 'object', description: '{id, url, name, format, stats: {meshes, vertices, triangles, materials}, bounds: {min, max, size, center, sphere: {center, radius}, normalizationScale}} in world space' }
+    }],
+    ['frameModel', {
+      description: 'Fits the camera distance so the whole model is in view',
+      params: {},
+      returns: { type: 'object', description: '{distance, radius}: new camera distance and model bounding sphere radius' }
+    }],
+    ['getModelParts', { description: 'Gets the names of the model parts that changeColor can target', params: {}, returns: { type: 'array', description: 'Part names (empty for a merged mesh)' } }],
+    ['getModelUrl', { description: 'Gets the URL the current model was loaded from', params: {}, returns: { type: 'string', description: 'URL, or null for a file dropped onto the viewer' } }],
+    ['getModelInfo', {
+      description: 'Describes the model geometry: vertex and triangle counts, normals and UVs, watertightness, and bounds, dimensions, surface area and volume in model (file) and world units',
+      params: {},
+      returns: {
+        type: 'object',
+        description: '{id, name, fileName, format, meshes, vertices, triangles, materials, hasNormals, hasUVs, watertight, boundaryEdges, nonManifoldEdges, normalizationScale, model: {min, max, size, center, surfaceArea, volume}, world: {...same, sphere: {center, radius}}}'
+      }
+    }],
+    ...animationSchemas()
+  ]),
+  ['addModel', {
+    description: 'Adds a model loaded from a URL as a new object, keeping the objects already in the scene',
+    recordsHistory: false,
+    params: {
+      url: { type: 'string', required: true, description: 'URL of the model file (must allow cross-origin requests)' },
+      name: { type: 'string', description: 'Display name (defaults to the file name)' },
+      format: { type: 'string', enum: Model.FORMATS, description: 'Format, when the URL has no recognizable extension or Content-Type' },
+      preserveHierarchy: { type: 'boolean', default: false, description: 'Keep the scene graph, node transforms and materials instead of one merged mesh (glTF, OBJ, FBX); always kept for files with animation clips' },
+      normalize: { type: 'boolean', default: false, description: 'Scale the model so its largest dimension equals targetSize' },
+      targetSize: { type: 'number', min: 0.1, max: 100, default: CONFIG.MODEL.NORMALIZED_SIZE, description: 'Largest dimension after normalization' },
+      select: { type: 'boolean', default: true, description: 'Make the new object the selected one' },
+      frame: { type: 'boolean', default: true, description: 'Fit the camera distance to the new model' }
+    },
+    returns: { type: 'object', description: '{id, name, url, format, stats, bounds} of the new object' }
+  }],
+  ['getLastPick', {
+    description: 'Gets the model surface the user last clicked (also sent as a userPick event)',
+    params: {},
+    returns: { type: 'object', description: '{objectId, objectName, part, point: {x, y, z}, normal: {x, y, z}, faceIndex, uv: {x, y}, distance} in world space, or null' }
+  }],
+  ['listObjects', {
+    description: 'Lists the objects in the scene',
+    query: true,
+    params: {},
+    returns: { type: 'array', description: '[{id, name, url, format, selected}]' }
+  }],
+  ['selectObject', {
+    description: 'Selects the object that model commands target by default and that dragging rotates',
+    recordsHistory: false,
+    params: {
+      objectId: { type: 'string', required: true, description: 'Object ID (see listObjects)' }
+    },
+    returns: { type: 'array', description: 'Objects after the change ([{id, name, url, format, selected}])' }
+  }],
+  ['removeObject', {
+    description: 'Removes an object from the scene (the last object cannot be removed)',
+    recordsHistory: false,
+    params: {
+      objectId: { type: 'string', required: true, description: 'Object ID (see listObjects)' }
+    },
+    returns: { type: 'array', description: 'Objects after the change ([{id, name, url, format, selected}])' }
+  }],
+  // Annotation commands
+  ...annotationSchemas(),
+  // Measurement commands
+  ...measurementSchemas(),
+  // Clipping plane commands
+  ...clippingSchemas(),
+  // Scene commands
+  ['changeBackgroundColor', {
+    description: 'Changes the scene background color',
+    params: {
+      color: { type: 'color', required: true, description: 'Hex color string' }
+    }
+  }],
+  ['getBackgroundColor', { description: 'Gets the scene background color', params: {}, returns: { type: 'color' } }],
+  // Light commands
+  ...lightSchemas('Key'),
+  ...lightSchemas('Fill'),
+  // Camera commands
+  ['dollyCamera', {
+    description: 'Sets the camera distance from the origin',
+    params: {
+      distance: { type: 'number', required: true, min: CONFIG.CAMERA.MIN_DISTANCE, max: CONFIG.CAMERA.MAX_DISTANCE, description: 'Distance from origin' }
+    }
+  }],
+  ['dollyCameraIn', {
+    description: 'Moves the camera closer to the origin',
+    params: {
+      amount: { type: 'number', min: 0, default: CONFIG.CAMERA.DOLLY_SPEED, description: 'Distance to move' }
+    }
+  }],
+  ['dollyCameraOut', {
+    description: 'Moves the camera farther from the origin',
+    params: {
+      amount: { type: 'number', min: 0, default: CONFIG.CAMERA.DOLLY_SPEED, description: 'Distance to move' }
+    }
+  }],
+  ['setCameraFOV', {
+    description: 'Sets the camera field of view (zoom factor)',
+    params: {
+      fov: { type: 'number', required: true, min: CONFIG.CAMERA.FOV_MIN, max: CONFIG.CAMERA.FOV_MAX, description: 'Zoom factor' }
+    }
+  }],
+  ['increaseCameraFOV', {
+    description: 'Increases the camera field of view value',
+    params: {
+      amount: { type: 'number', min: 0, default: CONFIG.CAMERA.FOV_SPEED, description: 'Amount to increase' }
+    }
+  }],
+  ['decreaseCameraFOV', {
+    description: 'Decreases the camera field of view value',
+    params: {
+      amount: { type: 'number', min: 0, default: CONFIG.CAMERA.FOV_SPEED, description: 'Amount to decrease' }
+    }
+  }],
+  ['getCameraDistance', { description: 'Gets the camera distance from the origin', params: {}, returns: { type: 'number' } }],
+  ['getCameraFOV', { description: 'Gets the camera field of view (zoom factor)', params: {}, returns: { type: 'number' } }],
+  // Composite commands
+  ['batch', {
+    description: 'Runs an ordered list of commands all-or-nothing with a single state update (rolls back on failure)',
+    params: {
+      commands: { type: 'array', required: true, description: 'Sub-commands, each {type, ...params}; batches cannot be nested' }
+    }
+  }],
+  // Scene state commands
+  ['setSceneState', {
+    description: 'Applies a full or partial scene state (same shape as the state in stateResponse/stateUpdate)',
+    params: {
+      state: { type: 'object', required: true, properties: SCENE_STATE_PROPERTIES, description: 'Scene state; omitted fields are left unchanged' }
+    }
+  }],
+  // Scene preset commands
+  ['saveScenePreset', {
+    description: 'Saves the current scene state as a named preset (persisted in the browser)',
+    recordsHistory: false,
+    params: {
+      name: { type: 'string', required: true, description: 'Preset name (overwrites an existing preset with the same name)' }
+    }
+  }],
+  ['loadScenePreset', {
+    description: 'Applies a saved scene preset',
+    params: {
+      name: { type: 'string', required: true, description: 'Preset name' }
+    }
+  }],
+  ['listScenePresets', {
+    description: 'Lists saved scene presets',
+    query: true,
+    params: {},
+    returns: { type: 'array', description: '[{name, savedAt}]' }
+  }],
+  ['deleteScenePreset', {
+    description: 'Deletes a saved scene preset',
+    recordsHistory: false,
+    params: {
+      name: { type: 'string', required: true, description: 'Preset name' }
+    }
+  }],
+  ['getShareableLink', {
+    description: 'Gets a URL that opens the current view (camera, model, colors, lights) in standalone mode',
+    params: {},
+    returns: { type: 'string', description: 'URL with the scene encoded in its hash' }
+  }],
+  // History commands
+  ['undo', {
+    description: 'Undoes the last scene change (command or user drag)',
+    recordsHistory: false,
+    params: {}
+  }],
+  ['redo', {
+    description: 'Re-applies the last undone scene change',
+    recordsHistory: false,
+    params: {}
+  }],
+  ['getHistory', {
+    description: 'Gets the undo/redo history labels',
+    params: {},
+    returns: { type: 'object', description: '{undo: [{label, timestamp}], redo: [{label, timestamp}], maxEntries}' }
+  }]
+]);
+
+/**
+ * Builds the machine-readable capability manifest for the given command types
+ * @param {Iterable<string>} commandTypes - Command types the frontend handles
+ * @returns {{protocolVersion: number, commands: Array<Object>}} Capability manifest
+ */
+export function buildCommandManifest(commandTypes) {
+  const commands = [];
+
+  for (const type of commandTypes) {
+    const schema = COMMAND_SCHEMAS.get(type);
+    if (!schema) {
+      console.warn(`No schema registered for command: ${type}`);
+      commands.push({ type, params: [] });
+      continue;
+    }
+
+    const entry = {
+      type,
+      description: schema.description,
+      params: Object.entries(schema.params).map(([name, param]) => ({ name, ...param }))
+    };
+    if (schema.returns) {
+      entry.returns = schema.returns;
+    }
+    commands.push(entry);
+  }
+
+  return { protocolVersion: PROTOCOL_VERSION, commands };
+}
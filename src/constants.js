@@ -15,6 +15,7 @@ export const CONFIG = {
         MAX_DISTANCE: 64, // Maximum camera distance (for dollying)
         FOV_MIN: 0.5,  // Minimum field of view (camera.zoom - wider FOV)
         FOV_MAX: 5.0,  // Maximum field of view (camera.zoom - narrower FOV)
+        FIT_MARGIN: 1.25,  // Distance multiplier when framing a model (1 = bounding sphere touches the view)
         DOLLY_SPEED: 0.1,  // Speed for dollying (distance changes)
         FOV_SPEED: 0.02,  // Speed for field of view changes
     },
@@ -23,12 +24,22 @@ export const CONFIG = {
     MODEL: {
         SIZE: 1,
         COLOR: getAppleCrayonColorByName('snow'),
-        ORIGIN: { x: 0, y: -0.5, z: 0 },  // Model origin - center of rotation for area lights
+        DEFAULT_URL: '/models/gltf/LeePerrySmith/LeePerrySmith.glb',
+        NORMALIZED_SIZE: 8,  // Largest dimension of normalized models (about the size of the default head)
+        MAX_EMISSIVE_INTENSITY: 10,  // Maximum material emissive intensity
+        ORIGIN: { x: 0, y: -0.5, z: 0 },  // Default model position (the area lights orbit the selected model's centre)
+        MIN_SCALE: 0.01,  // Minimum scale factor per axis
+        MAX_SCALE: 100,  // Maximum scale factor per axis
+        MAX_POSITION: 100,  // Largest model coordinate along each axis
     },
 
     // Lighting settings
     LIGHTING:
         {
+            MIN_DISTANCE: 0.5,  // Minimum area light distance from model origin
+            MAX_DISTANCE: 100,  // Maximum area light distance from model origin
+            MIN_SIZE: 0.1,  // Minimum area light width/height
+            MAX_SIZE: 50,  // Maximum area light width/height
             AMBIENT:
                 {
                     COLOR: 0xffffff,
@@ -76,6 +87,43 @@ export const CONFIG = {
                 },
         },
 
+    // Scene preset settings
+    PRESETS: {
+        STORAGE_KEY: 'hello3dmcp.scenePresets',  // localStorage key (scoped to the page origin)
+    },
+
+    // Undo/redo history settings
+    HISTORY: {
+        MAX_ENTRIES: 50,  // Maximum number of undoable changes kept
+    },
+
+    // Annotation settings
+    ANNOTATION: {
+        COLOR: '#fffa03',  // Default marker color (Apple crayon lemon)
+    },
+
+    // Measurement settings
+    MEASUREMENT: {
+        COLOR: '#00fdff',  // Line and point color (Apple crayon turquoise)
+        POINT_SIZE: 8,  // Point marker size in pixels
+        DECIMALS: 2,  // Decimals shown in distance and area labels
+    },
+
+    // Clipping plane settings
+    CLIPPING: {
+        MAX_PLANES: 3,
+        CAP_COLOR: '#ff2600',  // Default fill color of cuts (Apple crayon maraschino)
+        DRAG_SENSITIVITY: 0.02,  // Plane offset change per pixel of Alt+drag
+        MAX_OFFSET: 1000,  // Largest plane distance from the object centre (reaches past a normalized model at MODEL.MAX_SCALE)
+    },
+
+    // Animation playback settings
+    ANIMATION: {
+        CROSS_FADE_DURATION: 0.5,  // Default cross-fade duration in seconds
+        MAX_FRAME_DELTA: 0.1,  // Longest time step (seconds) applied in one frame
+        MAX_SPEED: 10,  // Largest playback speed factor (either direction)
+    },
+
     // Interaction settings
     INTERACTION: {
         ROTATION_SENSITIVITY: 0.01,
@@ -84,6 +132,7 @@ export const CONFIG = {
         AREA_LIGHT_DOLLY_SENSITIVITY: 0.1,  // Sensitivity for area light dolly (movement along axis)
         AREA_LIGHT_SWING_AMOUNT: 10,  // Amount to swing light (in degrees) for each command
         AREA_LIGHT_WALK_AMOUNT: 1.0,  // Amount to walk light in/out (distance units) for each command
+        CLICK_TOLERANCE: 4,  // Pointer travel (pixels) below which a press and release counts as a click
     },
 };
 
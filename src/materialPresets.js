@@ -0,0 +1,100 @@
+/**
+ * Named material presets
+ *
+ * Each preset sets a coherent group of PBR parameters plus a base color. Presets start
+ * from MATERIAL_PRESET_BASE, so switching from one preset to another never leaves extras
+ * behind (e.g., glass transmission on clay). View options (wireframe, flat shading, side)
+ * are not part of a look and are left alone. Clearcoat, sheen and transmission only take
+ * effect on physical materials, i.e. merged models; preserved hierarchies keep their
+ * loaded standard materials and get the base parameters only.
+ */
+
+const MATERIAL_PRESET_BASE = {
+  roughness: 1,
+  metalness: 0,
+  opacity: 1,
+  emissive: '#000000',
+  emissiveIntensity: 1,
+  clearcoat: 0,
+  clearcoatRoughness: 0,
+  transmission: 0,
+  thickness: 0,
+  ior: 1.5,
+  sheen: 0,
+  sheenRoughness: 1,
+  sheenColor: '#000000'
+};
+
+export const MATERIAL_PRESETS = new Map([
+  ['clay', {
+    description: 'Matte, unglazed sculpting clay',
+    color: '#c8b6a6',
+    properties: { roughness: 1 }
+  }],
+  ['chrome', {
+    description: 'Polished mirror-like chrome',
+    color: '#ffffff',
+    properties: { roughness: 0.05, metalness: 1 }
+  }],
+  ['brushedMetal', {
+    description: 'Brushed steel with soft, spread-out highlights',
+    color: '#b4b8bd',
+    properties: { roughness: 0.4, metalness: 1 }
+  }],
+  ['gold', {
+    description: 'Polished yellow gold',
+    color: '#ffc356',
+    properties: { roughness: 0.2, metalness: 1 }
+  }],
+  ['skin', {
+    description: 'Human skin with a soft, velvety sheen',
+    color: '#e0ac8f',
+    properties: { roughness: 0.55, sheen: 0.4, sheenRoughness: 0.6, sheenColor: '#ff9a8a' }
+  }],
+  ['plastic', {
+    description: 'Glossy injection-moulded plastic',
+    color: '#e23c3c',
+    properties: { roughness: 0.35, clearcoat: 0.6, clearcoatRoughness: 0.1 }
+  }],
+  ['rubber', {
+    description: 'Dull black rubber',
+    color: '#2b2b2b',
+    properties: { roughness: 0.9 }
+  }],
+  ['carPaint', {
+    description: 'Metallic paint under a glossy clear coat',
+    color: '#1e4fd6',
+    properties: { roughness: 0.4, metalness: 0.6, clearcoat: 1, clearcoatRoughness: 0.03 }
+  }],
+  ['glass', {
+    description: 'Clear glass (light passes through)',
+    color: '#ffffff',
+    properties: { roughness: 0.05, transmission: 1, thickness: 0.5, ior: 1.5 }
+  }],
+  ['velvet', {
+    description: 'Velvet fabric with bright grazing-angle sheen',
+    color: '#6b1f3a',
+    properties: { roughness: 0.8, sheen: 1, sheenRoughness: 0.35, sheenColor: '#ff8fb8' }
+  }]
+]);
+
+/**
+ * Gets the full set of material properties a preset applies
+ * @param {string} name - Preset name
+ * @returns {{color: string, properties: Object}|null} Base color and material properties, or null if unknown
+ */
+export function getMaterialPreset(name) {
+  const preset = MATERIAL_PRESETS.get(name);
+  if (!preset) {
+    return null;
+  }
+  return { color: preset.color, properties: { ...MATERIAL_PRESET_BASE, ...preset.properties } };
+}
+
+/**
+ * Lists the presets for the protocol
+ * @returns {Array<{name: string, description: string}>} Preset names and descriptions
+ */
+export function listMaterialPresets() {
+  return [...MATERIAL_PRESETS].map(([name, { description }]) => ({ name, description }));
+}
@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+/**
+ * Geometry helpers for turning loaded files into the single BufferGeometry the viewer renders
+ *
+ * Loaders return either a bare geometry (STL, PLY) or an object hierarchy (glTF, OBJ, FBX).
+ * Hierarchies are flattened by baking each mesh's world transform into a copy of its
+ * geometry and merging the copies.
+ */
+
+// Attributes kept when merging; anything else (skin weights, tangents, ...) differs between meshes
+const MERGED_ATTRIBUTES = ['position', 'normal', 'uv'];
+
+/**
+ * Computes vertex normals if the geometry has none (common for PLY point scans and some OBJ files)
+ * Geometries that got computed normals are flagged with userData.computedNormals.
+ * @param {THREE.BufferGeometry} geometry - Geometry to update in place
+ * @returns {THREE.BufferGeometry} The same geometry
+ */
+export function ensureNormals(geometry) {
+  if (!geometry.getAttribute('normal')) {
+    geometry.computeVertexNormals();
+    geometry.userData.computedNormals = true;
+  }
+  return geometry;
+}
+
+/**
+ * Flattens every mesh under an object into one geometry in the object's space
+ * @param {THREE.Object3D} object - Loaded object hierarchy
+ * @returns {THREE.BufferGeometry} Merged geometry (with normals)
+ * @throws {Error} When the object contains no meshes, or the meshes cannot be merged
+ */
+export function mergeObjectGeometry(object) {
+  object.updateMatrixWorld(true);
+
+  const geometries = [];
+  object.traverse((child) => {
+    if (child.isMesh && child.geometry.getAttribute('position')) {
+      const geometry = child.geometry.clone();
+      geometry.applyMatrix4(child.matrixWorld);
+      geometries.push(ensureNormals(geometry));
+    }
+  });
+
+  if (geometries.length === 0) {
+    throw new Error('No meshes found');
+  }
+  if (geometries.length === 1) {
+    return geometries[0];
+  }
+
+  // mergeGeometries() needs identical attribute sets and either all or no indices
+  const shared = MERGED_ATTRIBUTES.filter(name => geometries.every(geometry => geometry.getAttribute(name)));
+  const allIndexed = geometries.every(geometry => geometry.index !== null);
+  const compatible = geometries.map((geometry) => {
+    const source = allIndexed || !geometry.index ? geometry : geometry.toNonIndexed();
+    const result = new THREE.BufferGeometry();
+    shared.forEach(name => result.setAttribute(name, source.getAttribute(name)));
+    if (allIndexed) {
+      result.setIndex(source.index);
+    }
+    return result;
+  });
+
+  const merged = mergeGeometries(compatible);
+  if (!merged) {
+    throw new Error('Meshes could not be merged');
+  }
+  if (geometries.some(geometry => geometry.userData.computedNormals)) {
+    merged.userData.computedNormals = true;
+  }
+  return merged;
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+/**
+ * Surface statistics for the meshes of a model
+ *
+ * Every function takes a list of parts: a geometry and the matrix that carries its vertices
+ * into the space the statistics are reported in (e.g., the mesh's world matrix). Triangles
+ * come from the index when there is one, otherwise from consecutive vertex triples.
+ */
+
+// Welding tolerance for the watertightness check, relative to the bounding box diagonal
+const WELD_TOLERANCE = 1e-5;
+
+/**
+ * Calls a function with the transformed corners of every triangle
+ * @param {Array<{geometry: THREE.BufferGeometry, matrix: THREE.Matrix4}>} parts - Geometries and their matrices
+ * @param {Function} callback - Receives (a, b, c) as THREE.Vector3 (reused between calls)
+ */
+function forEachTriangle(parts, callback) {
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  parts.forEach(({ geometry, matrix }) => {
+    const position = geometry.getAttribute('position');
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i + 2 < count; i += 3) {
+      const [ia, ib, ic] = index ? [index.getX(i), index.getX(i + 1), index.getX(i + 2)] : [i, i + 1, i + 2];
+      a.fromBufferAttribute(position, ia).applyMatrix4(matrix);
+      b.fromBufferAttribute(position, ib).applyMatrix4(matrix);
+      c.fromBufferAttribute(position, ic).applyMatrix4(matrix);
+      callback(a, b, c);
+    }
+  });
+}
+
+/**
+ * Computes the exact bounding box of the transformed vertices
+ * @param {Array<{geometry: THREE.BufferGeometry, matrix: THREE.Matrix4}>} parts - Geometries and their matrices
+ * @returns {THREE.Box3} Bounding box
+ */
+export function computeBounds(parts) {
+  const box = new THREE.Box3();
+  const vertex = new THREE.Vector3();
+  parts.forEach(({ geometry, matrix }) => {
+    const position = geometry.getAttribute('position');
+    for (let i = 0; i < position.count; i++) {
+      box.expandByPoint(vertex.fromBufferAttribute(position, i).applyMatrix4(matrix));
+    }
+  });
+  return box;
+}
+
+/**
+ * Computes the surface area and the enclosed volume
+ * The volume sums the signed volumes of the tetrahedra between each triangle and the origin,
+ * which is exact for closed, consistently wound meshes and an approximation otherwise.
+ * @param {Array<{geometry: THREE.BufferGeometry, matrix: THREE.Matrix4}>} parts - Geometries and their matrices
+ * @returns {{surfaceArea: number, volume: number}} Area and volume in the units of the matrices' space
+ */
+export function measureSurface(parts) {
+  const cross = new THREE.Vector3();
+  const edge = new THREE.Vector3();
+  let surfaceArea = 0;
+  let signedVolume = 0;
+  forEachTriangle(parts, (a, b, c) => {
+    cross.subVectors(c, b).cross(edge.subVectors(a, b));
+    surfaceArea += cross.length() / 2;
+    signedVolume += a.dot(edge.copy(b).cross(c)) / 6;
+  });
+  return { surfaceArea, volume: Math.abs(signedVolume) };
+}
+
+/**
+ * Counts the edges that keep a mesh from being watertight
+ * Vertices at the same position (within a tolerance) are welded first, so seams where a file
+ * splits vertices for UVs or normals do not count as holes. A watertight mesh has every edge
+ * shared by exactly two triangles.
+ * @param {Array<{geometry: THREE.BufferGeometry, matrix: THREE.Matrix4}>} parts - Geometries and their matrices
+ * @returns {{boundaryEdges: number, nonManifoldEdges: number}} Edges used by one triangle (holes) and by more
+ *   than two (non-manifold)
+ */
+export function countOpenEdges(parts) {
+  const tolerance = Math.max(computeBounds(parts).getSize(new THREE.Vector3()).length() * WELD_TOLERANCE, Number.EPSILON);
+  const vertexIds = new Map();
+  const weld = (vertex) => {
+    const key = `${Math.round(vertex.x / tolerance)},${Math.round(vertex.y / tolerance)},${Math.round(vertex.z / tolerance)}`;
+    if (!vertexIds.has(key)) {
+      vertexIds.set(key, vertexIds.size);
+    }
+    return vertexIds.get(key);
+  };
+
+  const edgeCounts = new Map();
+  const addEdge = (first, second) => {
+    const key = first < second ? `${first}_${second}` : `${second}_${first}`;
+    edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+  };
+  forEachTriangle(parts, (a, b, c) => {
+    const [ia, ib, ic] = [weld(a), weld(b), weld(c)];
+    // Triangles collapsed by welding have no area and close nothing
+    if (ia === ib || ib === ic || ic === ia) {
+      return;
+    }
+    addEdge(ia, ib);
+    addEdge(ib, ic);
+    addEdge(ic, ia);
+  });
+
+  let boundaryEdges = 0;
+  let nonManifoldEdges = 0;
+  edgeCounts.forEach((count) => {
+    if (count === 1) {
+      boundaryEdges += 1;
+    } else if (count > 2) {
+      nonManifoldEdges += 1;
+    }
+  });
+  return { boundaryEdges, nonManifoldEdges };
+}
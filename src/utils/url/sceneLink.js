@@ -0,0 +1,225 @@
+import { CONFIG } from '../../constants.js';
+
+/**
+ * Compact encoding of the scene state into a URL hash for shareable deep links
+ *
+ * The link stores numbers in fixed-order arrays (rounded) and colors without "#",
+ * serialized as base64url JSON:
+ *   #scene=<base64url({v, c: [distance, fov], m: [color, sx, sy, sz, qx, qy, qz, qw, px, py, pz],
+ *                      b: background, k: [intensity, color, azimuth, elevation, distance, width, height],
+ *                      f: [...same as k], a: [roughness, metalness, opacity, emissive, emissiveIntensity,
+ *                      flatShading, wireframe, side, ...physical extras]})>
+ * The material entry (a) and the model position (px, py, pz) are optional so links made
+ * before they existed still open.
+ * Decoding produces a partial scene state in the setSceneState shape, with the model
+ * rotation as a quaternion so it round-trips exactly. Only the selected object (the model
+ * entry) is encoded, since a link reopens a single model.
+ */
+
+const LINK_VERSION = 1;
+const HASH_KEY = 'scene';
+
+/**
+ * Rounds a number to a fixed number of decimals (keeps links short)
+ * @param {number} value - Value to round
+ * @param {number} decimals - Number of decimals
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 3) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Encodes a string as base64url (URL-safe, no padding)
+ * @param {string} text - Text to encode
+ * @returns {string} base64url string
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a base64url string
+ * @param {string} encoded - base64url string
+ * @returns {string} Decoded text
+ */
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Packs one light's state into a fixed-order array
+ * @param {Object} light - Light state from getSceneState()
+ * @returns {Array} Packed light
+ */
+function packLight(light) {
+  return [
+    round(light.intensity),
+    light.color.replace('#', ''),
+    round(light.position.azimuth, 2),
+    round(light.position.elevation, 2),
+    round(light.position.distance),
+    round(light.size.width),
+    round(light.size.height)
+  ];
+}
+
+/**
+ * Unpacks a light array into the setSceneState light shape
+ * @param {Array} packed - Packed light
+ * @returns {Object} Light state
+ */
+function unpackLight([intensity, color, azimuth, elevation, distance, width, height]) {
+  return {
+    intensity,
+    color: `#${color}`,
+    position: { azimuth, elevation, distance },
+    size: { width, height }
+  };
+}
+
+// Physical-material extras, appended to the packed material when the model has them
+const PHYSICAL_KEYS = ['clearcoat', 'clearcoatRoughness', 'transmission', 'thickness', 'ior', 'sheen', 'sheenRoughness'];
+
+/**
+ * Packs the model material properties into a fixed-order array (booleans as 0/1)
+ * @param {Object} material - Material state from getSceneState()
+ * @returns {Array} Packed material
+ */
+function packMaterial(material) {
+  const packed = [
+    round(material.roughness),
+    round(material.metalness),
+    round(material.opacity),
+    material.emissive.replace('#', ''),
+    round(material.emissiveIntensity),
+    material.flatShading ? 1 : 0,
+    material.wireframe ? 1 : 0,
+    material.side
+  ];
+  if (material.sheenColor !== undefined) {
+    packed.push(...PHYSICAL_KEYS.map(key => round(material[key])), material.sheenColor.replace('#', ''));
+  }
+  return packed;
+}
+
+/**
+ * Unpacks a material array into the setSceneState material shape
+ * @param {Array} packed - Packed material
+ * @returns {Object} Material state
+ */
+function unpackMaterial(packed) {
+  const [roughness, metalness, opacity, emissive, emissiveIntensity, flatShading, wireframe, side] = packed;
+  const material = {
+    roughness,
+    metalness,
+    opacity,
+    emissive: `#${emissive}`,
+    emissiveIntensity,
+    flatShading: flatShading === 1,
+    wireframe: wireframe === 1,
+    side
+  };
+  if (packed.length > 8) {
+    PHYSICAL_KEYS.forEach((key, index) => {
+      material[key] = packed[8 + index];
+    });
+    material.sheenColor = `#${packed[8 + PHYSICAL_KEYS.length]}`;
+  }
+  return material;
+}
+
+/**
+ * Encodes the scene state for a URL hash
+ * @param {Object} state - Scene state from getSceneState()
+ * @param {{x: number, y: number, z: number, w: number}} quaternion - Model rotation quaternion
+ * @returns {string} Encoded scene (without the "scene=" key)
+ */
+export function encodeSceneLink(state, quaternion) {
+  const { model, camera } = state;
+  const packed = {
+    v: LINK_VERSION,
+    c: [round(camera.distance), round(camera.fov)],
+    m: [
+      model.color.replace('#', ''),
+      round(model.scale.x), round(model.scale.y), round(model.scale.z),
+      round(quaternion.x, 5), round(quaternion.y, 5), round(quaternion.z, 5), round(quaternion.w, 5),
+      round(model.position.x), round(model.position.y), round(model.position.z)
+    ],
+    b: state.background.replace('#', ''),
+    k: packLight(state.keyLight),
+    f: packLight(state.fillLight),
+    a: packMaterial(model.material)
+  };
+  return toBase64Url(JSON.stringify(packed));
+}
+
+/**
+ * Decodes an encoded scene into a partial scene state
+ * @param {string} encoded - Encoded scene from encodeSceneLink()
+ * @returns {Object} Partial scene state (setSceneState shape, model.quaternion instead of rotation)
+ * @throws {Error} When the link is malformed or from an unsupported version
+ */
+export function decodeSceneLink(encoded) {
+  const packed = JSON.parse(fromBase64Url(encoded));
+  if (!packed || packed.v !== LINK_VERSION) {
+    throw new Error(`Unsupported scene link version: ${packed && packed.v}`);
+  }
+
+  const [color, sx, sy, sz, qx, qy, qz, qw, px, py, pz] = packed.m;
+  const [distance, fov] = packed.c;
+  const model = {
+    color: `#${color}`,
+    scale: { x: sx, y: sy, z: sz },
+    quaternion: { x: qx, y: qy, z: qz, w: qw }
+  };
+  if (packed.m.length > 8) {
+    model.position = { x: px, y: py, z: pz };
+  }
+  if (Array.isArray(packed.a)) {
+    model.material = unpackMaterial(packed.a);
+  }
+  return {
+    model,
+    background: `#${packed.b}`,
+    keyLight: unpackLight(packed.k),
+    fillLight: unpackLight(packed.f),
+    camera: { distance, fov }
+  };
+}
+
+/**
+ * Reads the encoded scene from a URL hash
+ * @param {string} hash - URL hash (e.g., window.location.hash)
+ * @returns {string|null} Encoded scene, or null if the hash carries none
+ */
+export function getSceneLinkFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(HASH_KEY);
+}
+
+/**
+ * Builds a shareable URL for an encoded scene
+ * The session ID is dropped so the link opens in standalone mode for anyone
+ * @param {string} href - Current page URL
+ * @param {string} encoded - Encoded scene from encodeSceneLink()
+ * @param {string} modelUrl - Optional model URL, carried as ?model= unless it is the default model
+ * @returns {string} Shareable URL
+ */
+export function buildSceneLinkUrl(href, encoded, modelUrl = null) {
+  const url = new URL(href);
+  url.searchParams.delete('sessionId');
+  if (modelUrl && modelUrl !== CONFIG.MODEL.DEFAULT_URL) {
+    url.searchParams.set('model', modelUrl);
+  } else {
+    url.searchParams.delete('model');
+  }
+  url.hash = `${HASH_KEY}=${encoded}`;
+  return url.toString();
+}
@@ -0,0 +1,238 @@
+import * as THREE from 'three';
+import { getAppleCrayonColorByName } from '../color/color.js';
+import { directionToAzimuthAngle } from '../coordinates/CoordinateSystem.js';
+import { CommandError } from '../../CommandError.js';
+
+/**
+ * Schema-based validation for inbound WebSocket commands
+ *
+ * Parameters are coerced to their declared type (numeric strings become numbers,
+ * color names become hex strings), clamped to their declared range and filled in
+ * from defaults. Anything that cannot be coerced is rejected with a descriptive
+ * CommandError so no NaN ever reaches the scene.
+ */
+
+/**
+ * Creates an INVALID_PARAMS error for a parameter
+ * @param {string} name - Parameter name
+ * @param {*} value - Offending value
+ * @param {string} expected - Description of what was expected
+ * @returns {CommandError} The error to throw
+ */
+function invalidParam(name, value, expected) {
+  return new CommandError(
+    CommandError.INVALID_PARAMS,
+    `Invalid value for "${name}": ${JSON.stringify(value)} (expected ${expected})`,
+    { param: name, value, expected }
+  );
+}
+
+/**
+ * Clamps a number to the optional min/max of a parameter schema
+ * @param {number} value - Value to clamp
+ * @param {Object} param - Parameter schema
+ * @returns {number} Clamped value
+ */
+function clampToRange(value, param) {
+  let clamped = value;
+  if (param.min !== undefined) {
+    clamped = Math.max(param.min, clamped);
+  }
+  if (param.max !== undefined) {
+    clamped = Math.min(param.max, clamped);
+  }
+  return clamped;
+}
+
+/**
+ * Coerces a value to a finite number
+ * @param {*} value - Raw value (number or numeric string)
+ * @returns {number|null} Finite number, or null if the value is not numeric
+ */
+function toFiniteNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+/**
+ * Normalizes a color value to a "#rrggbb" hex string
+ * Accepts "#rgb", "#rrggbb", "rrggbb", "0xrrggbb", integers, CSS color names and Apple Crayon names
+ * @param {*} value - Raw color value
+ * @returns {string|null} Hex color string, or null if the value is not a color
+ */
+export function normalizeColor(value) {
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+      return null;
+    }
+    return '#' + value.toString(16).padStart(6, '0');
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim().toLowerCase();
+
+  const hexMatch = trimmed.match(/^(?:#|0x)?([0-9a-f]{6}|[0-9a-f]{3})$/);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length === 3) {
+      hex = hex.split('').map(digit => digit + digit).join('');
+    }
+    return '#' + hex;
+  }
+
+  const crayonHex = getAppleCrayonColorByName(trimmed, true);
+  if (crayonHex) {
+    return crayonHex.toLowerCase();
+  }
+
+  const cssName = trimmed.replace(/\s+/g, '');
+  if (THREE.Color.NAMES[cssName] !== undefined) {
+    return '#' + new THREE.Color(THREE.Color.NAMES[cssName]).getHexString();
+  }
+
+  return null;
+}
+
+/**
+ * Validates and coerces a single parameter value
+ * @param {string} name - Parameter name
+ * @param {*} value - Raw value (never undefined)
+ * @param {Object} param - Parameter schema
+ * @returns {*} Coerced value
+ */
+function coerceParam(name, value, param) {
+  switch (param.type) {
+    case 'number': {
+      const number = toFiniteNumber(value);
+      if (number === null) {
+        throw invalidParam(name, value, 'a finite number');
+      }
+      return clampToRange(number, param);
+    }
+
+    case 'integer': {
+      const number = toFiniteNumber(value);
+      if (number === null || !Number.isInteger(number)) {
+        throw invalidParam(name, value, 'an integer');
+      }
+      return clampToRange(number, param);
+    }
+
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return true;
+      }
+      if (value === false || value === 'false') {
+        return false;
+      }
+      throw invalidParam(name, value, 'a boolean');
+
+    case 'color': {
+      const color = normalizeColor(value);
+      if (color === null) {
+        throw invalidParam(name, value, 'a hex color like "#ff0000" or a color name');
+      }
+      return color;
+    }
+
+    case 'direction': {
+      // Numeric azimuths (including numeric strings) are normalized to 0-360
+      const number = toFiniteNumber(value);
+      const azimuth = directionToAzimuthAngle(number !== null ? number : value);
+      if (azimuth === null) {
+        throw invalidParam(name, value, 'an azimuth in degrees or a direction name like "north" or "NW"');
+      }
+      return azimuth;
+    }
+
+    case 'string':
+      if (typeof value !== 'string' || (param.required && value.trim() === '')) {
+        throw invalidParam(name, value, 'a non-empty string');
+      }
+      if (param.enum && !param.enum.includes(value)) {
+        throw invalidParam(name, value, `one of ${param.enum.join(', ')}`);
+      }
+      return value;
+
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw invalidParam(name, value, 'an object');
+      }
+      // Nested schemas validate their fields too (reported as "parent.child")
+      if (param.properties) {
+        return validateParams(value, param.properties, name);
+      }
+      // Value schemas validate every entry of a map keyed by name or ID (reported as "parent.key")
+      if (param.values) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, coerceParam(`${name}.${key}`, item, param.values)]));
+      }
+      return value;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        throw invalidParam(name, value, 'an array');
+      }
+      // Item schemas validate each element (reported as "parent[index]")
+      return param.items ? value.map((item, index) => coerceParam(`${name}[${index}]`, item, param.items)) : value;
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validates the fields of an object against a set of parameter schemas
+ * Fields without a schema are passed through untouched
+ * @param {Object} values - Raw values
+ * @param {Object} params - Parameter schemas keyed by field name
+ * @param {string} path - Name of the enclosing parameter (for error messages), empty at top level
+ * @returns {Object} Copy of the values with coerced, clamped and defaulted fields
+ * @throws {CommandError} INVALID_PARAMS when a field is missing or cannot be coerced
+ */
+export function validateParams(values, params, path = '') {
+  const validated = { ...values };
+
+  for (const [key, param] of Object.entries(params)) {
+    const name = path ? `${path}.${key}` : key;
+    const value = values[key];
+
+    if (value === undefined || value === null) {
+      if (param.default !== undefined) {
+        validated[key] = param.default;
+      } else if (param.required) {
+        throw new CommandError(
+          CommandError.INVALID_PARAMS,
+          `Missing required parameter "${name}"`,
+          { param: name }
+        );
+      } else {
+        delete validated[key];
+      }
+      continue;
+    }
+
+    validated[key] = coerceParam(name, value, param);
+  }
+
+  return validated;
+}
+
+/**
+ * Validates a command against its schema
+ * @param {Object} command - Command message received from the server
+ * @param {Object} schema - Command schema (see commandSchemas.js)
+ * @returns {Object} Copy of the command with coerced, clamped and defaulted parameters
+ * @throws {CommandError} INVALID_PARAMS when a parameter is missing or cannot be coerced
+ */
+export function validateCommand(command, schema) {
+  return validateParams(command, schema.params);
+}